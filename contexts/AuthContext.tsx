@@ -1,31 +1,50 @@
 "use client"
 
 import type React from "react"
-import { createContext, useContext, useEffect, useState } from "react"
+import { createContext, useContext, useEffect, useRef, useState } from "react"
 import { useRouter } from "next/navigation"
 
 interface User {
   _id: string
   username: string
   email: string
+  emailVerified: boolean
   firstName: string
   lastName: string
   avatar?: string
   points: number
+  escrowedPoints: number
+  availablePoints: number
   role: "user" | "admin"
   isActive: boolean
+  twoFactor?: {
+    enabled: boolean
+    enabledAt?: string
+  }
+}
+
+interface LoginResult {
+  twoFactorRequired: boolean
+  challengeToken?: string
 }
 
 interface AuthContextType {
   user: User | null
   token: string | null
-  login: (email: string, password: string) => Promise<void>
+  login: (email: string, password: string) => Promise<LoginResult>
+  verifyTwoFactor: (challengeToken: string, code: string) => Promise<void>
   register: (userData: RegisterData) => Promise<void>
-  logout: () => void
+  logout: () => Promise<void>
   updateUser: (userData: Partial<User>) => void
   loading: boolean
 }
 
+interface AuthTokens {
+  token: string
+  refreshToken: string
+  expiresIn: number
+}
+
 interface RegisterData {
   username: string
   email: string
@@ -43,17 +62,73 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
   const router = useRouter()
 
   const API_BASE_URL = "http://localhost:5000/api"
+  const refreshTimer = useRef<ReturnType<typeof setTimeout> | null>(null)
 
   useEffect(() => {
-    const storedToken = localStorage.getItem("token")
-    if (storedToken) {
-      setToken(storedToken)
-      fetchUser(storedToken)
+    const storedRefreshToken = localStorage.getItem("refreshToken")
+    if (storedRefreshToken) {
+      // Access tokens are short-lived, so start from a fresh one
+      refreshSession().then((freshToken) => {
+        if (freshToken) {
+          fetchUser(freshToken)
+        } else {
+          setLoading(false)
+        }
+      })
     } else {
       setLoading(false)
     }
+
+    return () => {
+      if (refreshTimer.current) clearTimeout(refreshTimer.current)
+    }
   }, [])
 
+  const clearSession = () => {
+    if (refreshTimer.current) clearTimeout(refreshTimer.current)
+    setUser(null)
+    setToken(null)
+    localStorage.removeItem("token")
+    localStorage.removeItem("refreshToken")
+  }
+
+  const saveTokens = (tokens: AuthTokens) => {
+    setToken(tokens.token)
+    localStorage.setItem("token", tokens.token)
+    localStorage.setItem("refreshToken", tokens.refreshToken)
+
+    // Renew the access token a minute before it expires
+    if (refreshTimer.current) clearTimeout(refreshTimer.current)
+    refreshTimer.current = setTimeout(refreshSession, Math.max(tokens.expiresIn - 60, 10) * 1000)
+  }
+
+  const refreshSession = async (): Promise<string | null> => {
+    const storedRefreshToken = localStorage.getItem("refreshToken")
+    if (!storedRefreshToken) return null
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: storedRefreshToken }),
+      })
+
+      if (!response.ok) {
+        clearSession()
+        return null
+      }
+
+      const data: AuthTokens = await response.json()
+      saveTokens(data)
+      return data.token
+    } catch (error) {
+      console.error("Error refreshing session:", error)
+      return null
+    }
+  }
+
   const fetchUser = async (authToken: string) => {
     try {
       const response = await fetch(`${API_BASE_URL}/auth/me`, {
@@ -67,47 +142,68 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         const data = await response.json()
         setUser(data.user)
       } else {
-        localStorage.removeItem("token")
-        setToken(null)
+        clearSession()
       }
     } catch (error) {
       console.error("Error fetching user:", error)
-      localStorage.removeItem("token")
-      setToken(null)
+      clearSession()
     } finally {
       setLoading(false)
     }
   }
 
-  const login = async (email: string, password: string) => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/auth/login`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ email, password }),
-      })
+  const completeLogin = (data: AuthTokens & { user: User }) => {
+    saveTokens(data)
+    setUser(data.user)
 
-      const data = await response.json()
+    // Redirect based on role
+    if (data.user.role === "admin") {
+      router.push("/admin")
+    } else {
+      router.push("/dashboard")
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(data.message || "Login failed")
-      }
+  const login = async (email: string, password: string): Promise<LoginResult> => {
+    const response = await fetch(`${API_BASE_URL}/auth/login`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ email, password }),
+    })
 
-      setToken(data.token)
-      setUser(data.user)
-      localStorage.setItem("token", data.token)
+    const data = await response.json()
 
-      // Redirect based on role
-      if (data.user.role === "admin") {
-        router.push("/admin")
-      } else {
-        router.push("/dashboard")
-      }
-    } catch (error) {
-      throw error
+    if (!response.ok) {
+      throw new Error(data.message || "Login failed")
+    }
+
+    // Accounts with two-factor authentication finish signing in with verifyTwoFactor
+    if (data.twoFactorRequired) {
+      return { twoFactorRequired: true, challengeToken: data.challengeToken }
+    }
+
+    completeLogin(data)
+    return { twoFactorRequired: false }
+  }
+
+  const verifyTwoFactor = async (challengeToken: string, code: string) => {
+    const response = await fetch(`${API_BASE_URL}/auth/login/2fa`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ challengeToken, code }),
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw new Error(data.message || "Verification failed")
     }
+
+    completeLogin(data)
   }
 
   const register = async (userData: RegisterData) => {
@@ -126,19 +222,31 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         throw new Error(data.message || "Registration failed")
       }
 
-      setToken(data.token)
+      saveTokens(data)
       setUser(data.user)
-      localStorage.setItem("token", data.token)
       router.push("/dashboard")
     } catch (error) {
       throw error
     }
   }
 
-  const logout = () => {
-    setUser(null)
-    setToken(null)
-    localStorage.removeItem("token")
+  const logout = async () => {
+    // End the session on the server so the refresh token can't be reused
+    if (token) {
+      try {
+        await fetch(`${API_BASE_URL}/auth/logout`, {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        })
+      } catch (error) {
+        console.error("Error logging out:", error)
+      }
+    }
+
+    clearSession()
     router.push("/")
   }
 
@@ -154,6 +262,7 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         user,
         token,
         login,
+        verifyTwoFactor,
         register,
         logout,
         updateUser,
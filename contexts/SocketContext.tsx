@@ -1,22 +1,61 @@
 "use client"
 
 import type React from "react"
-import { createContext, useContext, useEffect, useState } from "react"
+import { createContext, useCallback, useContext, useEffect, useState } from "react"
 import { io, Socket } from "socket.io-client"
 import { useAuth } from "./AuthContext"
 
+export interface Notification {
+  _id: string
+  type: string
+  message: string
+  data: Record<string, unknown>
+  read: boolean
+  readAt?: string
+  createdAt: string
+}
+
 interface SocketContextType {
   socket: Socket | null
   isConnected: boolean
+  notifications: Notification[]
+  unreadCount: number
+  markAsRead: (notificationId: string) => Promise<void>
+  markAllAsRead: () => Promise<void>
 }
 
 const SocketContext = createContext<SocketContextType | undefined>(undefined)
 
+const API_BASE_URL = "http://localhost:5000/api"
+
 export function SocketProvider({ children }: { children: React.ReactNode }) {
   const [socket, setSocket] = useState<Socket | null>(null)
   const [isConnected, setIsConnected] = useState(false)
+  const [notifications, setNotifications] = useState<Notification[]>([])
+  const [unreadCount, setUnreadCount] = useState(0)
   const { user, token } = useAuth()
 
+  const fetchNotifications = useCallback(async () => {
+    if (!token) return
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/notifications?limit=20`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+      })
+
+      if (response.ok) {
+        const data = await response.json()
+        setNotifications(data.notifications)
+        setUnreadCount(data.unreadCount)
+      }
+    } catch (error) {
+      console.error("Error fetching notifications:", error)
+    }
+  }, [token])
+
   useEffect(() => {
     if (user && token) {
       const socketInstance = io("http://localhost:5000", {
@@ -28,7 +67,12 @@ export function SocketProvider({ children }: { children: React.ReactNode }) {
       socketInstance.on("connect", () => {
         console.log("Connected to server")
         setIsConnected(true)
-        socketInstance.emit("join-room", user._id)
+        // Catch up on anything that arrived while offline
+        fetchNotifications()
+      })
+
+      socketInstance.on("connect_error", (err) => {
+        console.error("Socket connection error:", err.message)
       })
 
       socketInstance.on("disconnect", () => {
@@ -36,25 +80,13 @@ export function SocketProvider({ children }: { children: React.ReactNode }) {
         setIsConnected(false)
       })
 
-      // Listen for real-time notifications
-      socketInstance.on("new-swap-request", (data) => {
-        console.log("New swap request:", data)
-        // Handle new swap request notification
+      // Every persisted notification (new-swap-request, item-approved, ...) also arrives here
+      socketInstance.on("notification", (notification: Notification) => {
+        setNotifications((current) => [notification, ...current.filter((n) => n._id !== notification._id)])
       })
 
-      socketInstance.on("swap-response", (data) => {
-        console.log("Swap response:", data)
-        // Handle swap response notification
-      })
-
-      socketInstance.on("item-approved", (data) => {
-        console.log("Item approved:", data)
-        // Handle item approval notification
-      })
-
-      socketInstance.on("item-rejected", (data) => {
-        console.log("Item rejected:", data)
-        // Handle item rejection notification
+      socketInstance.on("notifications:unread-count", ({ count }: { count: number }) => {
+        setUnreadCount(count)
       })
 
       setSocket(socketInstance)
@@ -63,10 +95,45 @@ export function SocketProvider({ children }: { children: React.ReactNode }) {
         socketInstance.disconnect()
       }
     }
-  }, [user, token])
+
+    setNotifications([])
+    setUnreadCount(0)
+  }, [user, token, fetchNotifications])
+
+  const markAsRead = async (notificationId: string) => {
+    const response = await fetch(`${API_BASE_URL}/notifications/${notificationId}/read`, {
+      method: "PUT",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+    })
+
+    if (response.ok) {
+      const data = await response.json()
+      setNotifications((current) => current.map((n) => (n._id === notificationId ? data.notification : n)))
+      setUnreadCount(data.unreadCount)
+    }
+  }
+
+  const markAllAsRead = async () => {
+    const response = await fetch(`${API_BASE_URL}/notifications/read-all`, {
+      method: "PUT",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+    })
+
+    if (response.ok) {
+      const readAt = new Date().toISOString()
+      setNotifications((current) => current.map((n) => (n.read ? n : { ...n, read: true, readAt })))
+      setUnreadCount(0)
+    }
+  }
 
   return (
-    <SocketContext.Provider value={{ socket, isConnected }}>
+    <SocketContext.Provider value={{ socket, isConnected, notifications, unreadCount, markAsRead, markAllAsRead }}>
       {children}
     </SocketContext.Provider>
   )
@@ -0,0 +1,224 @@
+const mongoose = require("mongoose")
+const Swap = require("../models/Swap")
+const Notification = require("../models/Notification")
+const Wishlist = require("../models/Wishlist")
+
+// Scheduled clean-up of stale swaps, run in-process by server.js.
+//
+// - Pending swaps whose latest offer has gone unanswered for SWAP_PENDING_EXPIRY_DAYS are cancelled.
+// - Accepted swaps not completed after SWAP_REMINDER_AFTER_DAYS get a reminder to both participants,
+//   repeated every SWAP_REMINDER_INTERVAL_DAYS.
+// - Accepted swaps still open after SWAP_ABANDON_AFTER_DAYS are cancelled and their items released.
+//
+// Expired swaps keep their history: they are cancelled with `expiredAt` and `expiryReason` set,
+// which releases held points and reserved items through the Swap save hooks.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const DEFAULT_OPTIONS = {
+  pendingExpiryDays: Number(process.env.SWAP_PENDING_EXPIRY_DAYS) || 14,
+  reminderAfterDays: Number(process.env.SWAP_REMINDER_AFTER_DAYS) || 7,
+  reminderIntervalDays: Number(process.env.SWAP_REMINDER_INTERVAL_DAYS) || 7,
+  abandonAfterDays: Number(process.env.SWAP_ABANDON_AFTER_DAYS) || 30,
+  // Swaps handled per step of a run, so one run never loads the whole collection
+  batchSize: 100,
+}
+
+// How often the job runs; 0 turns it off
+const INTERVAL_MINUTES =
+  process.env.SWAP_EXPIRY_INTERVAL_MINUTES === undefined ? 60 : Number(process.env.SWAP_EXPIRY_INTERVAL_MINUTES)
+
+const daysBefore = (now, days) => new Date(now.getTime() - days * DAY_MS)
+
+// Accepted swaps from before acceptedAt was recorded fall back to their last update
+const acceptedBefore = (cutoff) => ({
+  $or: [{ acceptedAt: { $lt: cutoff } }, { acceptedAt: null, updatedAt: { $lt: cutoff } }],
+})
+
+// Cancel a swap on behalf of the job. Returns false when a participant changed it in the meantime.
+const expireSwap = async (swap, { reason, cancelReason, now }) => {
+  swap.lockCurrentState()
+  swap.status = "cancelled"
+  swap.cancelledAt = now
+  swap.cancelReason = cancelReason
+  swap.expiredAt = now
+  swap.expiryReason = reason
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      await swap.save({ session })
+    })
+    return true
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") return false
+    throw error
+  }
+}
+
+// Handle each swap on its own, so one that fails is logged and the rest of the run carries on.
+// Resolves to the number of swaps `handle` reported as done.
+const forEachSwap = async (swaps, step, handle) => {
+  let handled = 0
+  for (const swap of swaps) {
+    try {
+      if (await handle(swap)) handled += 1
+    } catch (error) {
+      console.error(`Swap expiry ${step} error for swap ${swap._id}:`, error)
+    }
+  }
+  return handled
+}
+
+const expirePendingSwaps = async (io, now, options) => {
+  const cutoff = daysBefore(now, options.pendingExpiryDays)
+
+  // Counter-offers restart the clock: no revision may be newer than the cutoff either
+  const candidates = await Swap.find({
+    status: "pending",
+    createdAt: { $lt: cutoff },
+    "revisions.createdAt": { $not: { $gte: cutoff } },
+  })
+    .populate("requestedItems", "title")
+    .sort({ createdAt: 1 })
+    .limit(options.batchSize)
+
+  return forEachSwap(candidates, "pending", async (swap) => {
+    const awaiting = swap.getLatestProposer() === "requester" ? "owner" : "requester"
+    const done = await expireSwap(swap, {
+      reason: "pending-timeout",
+      cancelReason: `Expired: no response from the ${awaiting} within ${options.pendingExpiryDays} days`,
+      now,
+    })
+    if (!done) return false
+
+    await Notification.send(io, [swap.requester, swap.owner], "swap-expired", {
+      swapId: swap._id,
+      status: swap.status,
+      expiryReason: swap.expiryReason,
+      message: `The swap request for ${swap.describeRequestedItems()} expired without a response`,
+    })
+    return true
+  })
+}
+
+const cancelAbandonedSwaps = async (io, now, options) => {
+  const candidates = await Swap.find({
+    status: "accepted",
+    ...acceptedBefore(daysBefore(now, options.abandonAfterDays)),
+  })
+    .populate("requestedItems", "title")
+    .limit(options.batchSize)
+
+  return forEachSwap(candidates, "abandoned", async (swap) => {
+    const done = await expireSwap(swap, {
+      reason: "accepted-abandoned",
+      cancelReason: `Expired: not completed within ${options.abandonAfterDays} days of being accepted`,
+      now,
+    })
+    if (!done) return false
+
+    await Notification.send(io, [swap.requester, swap.owner], "swap-expired", {
+      swapId: swap._id,
+      status: swap.status,
+      expiryReason: swap.expiryReason,
+      message: `The swap for ${swap.describeRequestedItems()} was cancelled because it wasn't completed in time`,
+    })
+    await swap.releaseWaitlist(io)
+    await Wishlist.notifyAvailable(io, swap.getItemIds())
+    return true
+  })
+}
+
+const remindAcceptedSwaps = async (io, now, options) => {
+  const candidates = await Swap.find({
+    status: "accepted",
+    $and: [
+      acceptedBefore(daysBefore(now, options.reminderAfterDays)),
+      { $or: [{ lastReminderAt: null }, { lastReminderAt: { $lt: daysBefore(now, options.reminderIntervalDays) } }] },
+    ],
+  })
+    .populate("requestedItems", "title")
+    .limit(options.batchSize)
+
+  return forEachSwap(candidates, "reminder", async (swap) => {
+    // Claim the reminder first so overlapping runs don't nudge twice
+    const claim = await Swap.updateOne(
+      { _id: swap._id, status: "accepted", lastReminderAt: swap.lastReminderAt || null },
+      { $set: { lastReminderAt: now }, $inc: { reminderCount: 1 } },
+    )
+    if (claim.modifiedCount === 0) return false
+
+    const acceptedAt = swap.acceptedAt || swap.updatedAt
+    const remaining = Math.max(
+      0,
+      Math.ceil((acceptedAt.getTime() + options.abandonAfterDays * DAY_MS - now.getTime()) / DAY_MS),
+    )
+
+    await Notification.send(io, [swap.requester, swap.owner], "swap-reminder", {
+      swapId: swap._id,
+      acceptedAt,
+      daysRemaining: remaining,
+      message: `Don't forget to complete the swap for ${swap.describeRequestedItems()}; it will be cancelled in ${remaining} day${remaining === 1 ? "" : "s"}`,
+    })
+    return true
+  })
+}
+
+// Run every step once. `now` is injectable so runs can be tested against a fixed clock.
+// Resolves to the number of swaps handled by each step.
+const runSwapExpiry = async (io, { now = new Date(), ...overrides } = {}) => {
+  const options = { ...DEFAULT_OPTIONS, ...overrides }
+
+  // Abandoned swaps are cancelled before reminders, so nobody is nudged about a swap that just ended
+  const expired = await expirePendingSwaps(io, now, options)
+  const abandoned = await cancelAbandonedSwaps(io, now, options)
+  const reminded = await remindAcceptedSwaps(io, now, options)
+
+  return { expired, abandoned, reminded }
+}
+
+// Run the job on an interval. `clock` supplies the current time for each run.
+// Returns a handle to trigger a run immediately or stop the schedule, or null when the job is turned off.
+const startSwapExpiryJob = (io, { intervalMinutes = INTERVAL_MINUTES, clock = () => new Date(), ...options } = {}) => {
+  if (!intervalMinutes) return null
+
+  let running = null
+
+  const runNow = () => {
+    // Skip a tick while the previous run is still going
+    if (running) return running
+
+    running = runSwapExpiry(io, { ...options, now: clock() })
+      .then((result) => {
+        if (result.expired || result.abandoned || result.reminded) {
+          console.log(
+            `Swap expiry: ${result.expired} expired, ${result.abandoned} abandoned, ${result.reminded} reminded`,
+          )
+        }
+        return result
+      })
+      .catch((error) => {
+        console.error("Swap expiry job error:", error)
+        return null
+      })
+      .finally(() => {
+        running = null
+      })
+
+    return running
+  }
+
+  const timer = setInterval(runNow, intervalMinutes * 60 * 1000)
+  // Don't keep the process alive just for the schedule
+  timer.unref()
+
+  return {
+    runNow,
+    stop: () => clearInterval(timer),
+  }
+}
+
+module.exports = {
+  runSwapExpiry,
+  startSwapExpiryJob,
+}
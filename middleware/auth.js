@@ -1,30 +1,67 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const Session = require("../models/Session")
 
-const auth = async (req, res, next) => {
+const authError = (message) => {
+  const error = new Error(message)
+  error.name = "AuthError"
+  return error
+}
+
+// Resolve the active user behind a JWT.
+// Rejects with an AuthError whose message is safe to return to the client.
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw authError("No token, authorization denied")
+  }
+
+  let decoded
   try {
-    const token = req.header("Authorization")?.replace("Bearer ", "")
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    throw authError("Token is not valid")
+  }
 
-    if (!token) {
-      return res.status(401).json({ message: "No token, authorization denied" })
-    }
+  // Two-factor challenge tokens are not access tokens
+  if (decoded.purpose) {
+    throw authError("Token is not valid")
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    const user = await User.findById(decoded.userId).select("-password")
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select("-password"),
+    Session.findOne({ _id: decoded.sessionId, user: decoded.userId }).select("revokedAt expiresAt twoFactorVerified"),
+  ])
 
-    if (!user) {
-      return res.status(401).json({ message: "Token is not valid" })
-    }
+  if (!user) {
+    throw authError("Token is not valid")
+  }
 
-    if (!user.isActive) {
-      return res.status(401).json({ message: "Account is deactivated" })
-    }
+  // Logging out, changing the password or revoking a device ends its session immediately
+  if (!session || !session.isActive()) {
+    throw authError("Session has expired or been revoked")
+  }
 
+  if (!user.isActive) {
+    throw authError("Account is deactivated")
+  }
+
+  return { user, session }
+}
+
+const authErrorMessage = (error) => (error.name === "AuthError" ? error.message : "Token is not valid")
+
+const auth = async (req, res, next) => {
+  try {
+    const token = req.header("Authorization")?.replace("Bearer ", "")
+
+    const { user, session } = await authenticateToken(token)
     req.user = user
+    req.sessionId = session._id
+    req.twoFactorVerified = session.twoFactorVerified
     next()
   } catch (error) {
-    console.error("Auth middleware error:", error)
-    res.status(401).json({ message: "Token is not valid" })
+    if (error.name !== "AuthError") console.error("Auth middleware error:", error)
+    res.status(401).json({ message: authErrorMessage(error) })
   }
 }
 
@@ -34,6 +71,14 @@ const adminAuth = async (req, res, next) => {
       if (req.user.role !== "admin") {
         return res.status(403).json({ message: "Admin access required" })
       }
+      if (!req.twoFactorVerified) {
+        return res.status(403).json({
+          message: req.user.twoFactor.enabled
+            ? "Sign in again with two-factor authentication to access admin routes"
+            : "Two-factor authentication must be enabled to access admin routes",
+          twoFactorRequired: true,
+        })
+      }
       next()
     })
   } catch (error) {
@@ -41,4 +86,18 @@ const adminAuth = async (req, res, next) => {
   }
 }
 
-module.exports = { auth, adminAuth }
+// Socket.IO middleware: authenticate the handshake token the same way as HTTP requests
+const socketAuth = async (socket, next) => {
+  try {
+    const { user, session } = await authenticateToken(socket.handshake.auth?.token)
+    socket.data.user = user
+    socket.data.userId = user._id.toString()
+    socket.data.sessionId = session._id.toString()
+    next()
+  } catch (error) {
+    if (error.name !== "AuthError") console.error("Socket auth error:", error)
+    next(new Error(authErrorMessage(error)))
+  }
+}
+
+module.exports = { auth, adminAuth, socketAuth }
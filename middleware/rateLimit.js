@@ -0,0 +1,53 @@
+const rateLimit = require("express-rate-limit")
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+
+const limitExceeded = (message) => (req, res, next, options) => {
+  res.status(options.statusCode).json({ message })
+}
+
+// Sign-in, registration, token refresh, password reset and other auth changes
+const authLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: Number(process.env.RATE_LIMIT_AUTH) || 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitExceeded("Too many authentication requests, please try again later"),
+})
+
+// Failed logins per IP; successful logins don't count against the limit
+const loginFailureLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: Number(process.env.RATE_LIMIT_LOGIN_FAILURES) || 10,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitExceeded("Too many failed login attempts from this address, please try again later"),
+})
+
+// Requests that change data
+const writeLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: Number(process.env.RATE_LIMIT_WRITES) || 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitExceeded("Too many requests, please slow down"),
+})
+
+// Public and authenticated reads such as browsing items
+const readLimiter = rateLimit({
+  windowMs: FIFTEEN_MINUTES,
+  max: Number(process.env.RATE_LIMIT_READS) || 600,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: limitExceeded("Too many requests, please try again later"),
+})
+
+// Send each API request to its bucket: reads, auth writes or other writes
+const apiLimiter = (req, res, next) => {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method)) return readLimiter(req, res, next)
+  if (req.originalUrl.startsWith("/api/auth/")) return authLimiter(req, res, next)
+  return writeLimiter(req, res, next)
+}
+
+module.exports = { loginFailureLimiter, apiLimiter }
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose")
+const { toPoint, backfillPoints } = require("../utils/geo")
+const { FUZZY_FIELDS, buildSearchTerms } = require("../utils/search")
 
 const itemSchema = new mongoose.Schema(
   {
@@ -80,7 +82,13 @@ const itemSchema = new mongoose.Schema(
     images: [
       {
         url: String,
-        publicId: String, // For Cloudinary
+        publicId: String, // Storage key of the full-size variant
+        thumbnail: {
+          url: String,
+          publicId: String,
+        },
+        width: Number,
+        height: Number,
         alt: String,
       },
     ],
@@ -117,7 +125,14 @@ const itemSchema = new mongoose.Schema(
       state: String,
       country: String,
       zipCode: String,
+      // Map position from the gazetteer, kept in step with the fields above
+      point: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
     },
+    // Trigrams of the short text fields, for typo-tolerant search and autocomplete
+    searchTerms: { type: [String], select: false },
     views: { type: Number, default: 0 },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
     reports: [
@@ -139,6 +154,8 @@ itemSchema.index({ owner: 1, status: 1 })
 itemSchema.index({ status: 1, availability: 1 })
 itemSchema.index({ title: "text", description: "text", tags: "text" })
 itemSchema.index({ "location.city": 1, "location.state": 1 })
+itemSchema.index({ "location.point": "2dsphere" })
+itemSchema.index({ searchTerms: 1 })
 itemSchema.index({ createdAt: -1 })
 itemSchema.index({ pointValue: 1 })
 
@@ -177,4 +194,38 @@ itemSchema.pre("save", function (next) {
   next()
 })
 
+// Place the free-text location on the map
+itemSchema.pre("save", function (next) {
+  if (["city", "state", "country", "zipCode"].some((field) => this.isModified(`location.${field}`))) {
+    this.location.point = toPoint(this.location)
+  }
+  next()
+})
+
+// Keep fuzzy search terms in step with the fields they are built from
+itemSchema.pre("save", function (next) {
+  if (FUZZY_FIELDS.some((field) => this.isModified(field))) {
+    this.searchTerms = buildSearchTerms(this)
+  }
+  next()
+})
+
+// Build search terms for items saved before fuzzy search existed
+itemSchema.statics.backfillSearchTerms = async function () {
+  const items = await this.find({ searchTerms: { $exists: false } }).select(FUZZY_FIELDS.join(" ")).lean()
+  if (!items.length) return 0
+
+  await this.bulkWrite(
+    items.map((item) => ({
+      updateOne: { filter: { _id: item._id }, update: { $set: { searchTerms: buildSearchTerms(item) } } },
+    })),
+  )
+  return items.length
+}
+
+// Put items listed before geo search on the map
+itemSchema.statics.backfillLocationPoints = function () {
+  return backfillPoints(this)
+}
+
 module.exports = mongoose.model("Item", itemSchema)
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: 1000,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for the notification center
+notificationSchema.index({ user: 1, createdAt: -1 })
+notificationSchema.index({ user: 1, read: 1 })
+
+// Push the current unread count to a user's sockets
+notificationSchema.statics.emitUnreadCount = async function (io, userId) {
+  const count = await this.countDocuments({ user: userId, read: false })
+  io.to(userId.toString()).emit("notifications:unread-count", { count })
+  return count
+}
+
+// Persist a notification for each recipient and deliver it over the socket.
+// Recipients receive the typed event (e.g. "item-approved") with the original payload,
+// a generic "notification" event with the stored document, and their new unread count.
+notificationSchema.statics.send = async function (io, recipients, type, payload) {
+  const userIds = [].concat(recipients).map((id) => id.toString())
+  const { message, ...data } = payload
+
+  const notifications = await this.insertMany(userIds.map((user) => ({ user, type, message, data })))
+
+  await Promise.all(
+    notifications.map(async (notification) => {
+      const room = notification.user.toString()
+      io.to(room).emit(type, { ...payload, notificationId: notification._id })
+      io.to(room).emit("notification", notification.toObject())
+      await this.emitUnreadCount(io, room)
+    }),
+  )
+
+  return notifications
+}
+
+// Notify every active admin
+notificationSchema.statics.sendToAdmins = async function (io, type, payload) {
+  const User = mongoose.model("User")
+  const admins = await User.find({ role: "admin", isActive: true }).select("_id").lean()
+  return this.send(
+    io,
+    admins.map((admin) => admin._id),
+    type,
+    payload,
+  )
+}
+
+module.exports = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,120 @@
+const mongoose = require("mongoose")
+
+const pointTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: ["signup-bonus", "opening-balance", "swap-redemption", "swap-earning", "adjustment"],
+      required: true,
+    },
+    swap: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Swap",
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Item",
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    note: {
+      type: String,
+      maxlength: 200,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for history lookups
+pointTransactionSchema.index({ user: 1, createdAt: -1 })
+
+// A swap can only move points once per user and reason
+pointTransactionSchema.index(
+  { swap: 1, user: 1, reason: 1 },
+  { unique: true, partialFilterExpression: { swap: { $exists: true } } },
+)
+
+// Users created before the ledger existed get an opening-balance entry for their current points,
+// so the ledger sums to their real balance. Resolves to the entry, or null when they already have history.
+pointTransactionSchema.statics.ensureOpeningBalance = async function (userId, session) {
+  const hasHistory = await this.exists({ user: userId }).session(session || null)
+  if (hasHistory) return null
+
+  const user = await mongoose
+    .model("User")
+    .findById(userId)
+    .select("points")
+    .session(session || null)
+  if (!user) return null
+
+  const [opening] = await this.create(
+    [{ user: userId, delta: user.points, reason: "opening-balance", balanceAfter: user.points }],
+    { session },
+  )
+  return opening
+}
+
+// Apply a balance change to a user and record it in the ledger.
+// Debits only succeed when the user holds enough points, so balances never go negative.
+pointTransactionSchema.statics.applyDelta = async function ({ user, delta, reason, swap, item, note }, session) {
+  const User = mongoose.model("User")
+
+  // Record the pre-ledger balance before the first change
+  await this.ensureOpeningBalance(user, session)
+
+  const filter = { _id: user }
+  if (delta < 0) filter.points = { $gte: -delta }
+
+  const updatedUser = await User.findOneAndUpdate(
+    filter,
+    { $inc: { points: delta } },
+    { new: true, session, select: "points" },
+  )
+
+  if (!updatedUser) {
+    const error = new Error("Insufficient points")
+    error.name = "InsufficientPointsError"
+    throw error
+  }
+
+  const [transaction] = await this.create(
+    [{ user, delta, reason, swap, item, note, balanceAfter: updatedUser.points }],
+    { session },
+  )
+
+  return transaction
+}
+
+// Bring User.points back in line with the ledger
+pointTransactionSchema.statics.reconcileBalance = async function (userId, session) {
+  const User = mongoose.model("User")
+
+  const opening = await this.ensureOpeningBalance(userId, session)
+  if (opening) return opening.balanceAfter
+
+  const [totals] = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: null, balance: { $sum: "$delta" } } },
+  ]).session(session || null)
+
+  if (!totals) return 0
+
+  await User.findByIdAndUpdate(userId, { points: totals.balance }, { session })
+  return totals.balance
+}
+
+module.exports = mongoose.model("PointTransaction", pointTransactionSchema)
@@ -0,0 +1,151 @@
+const mongoose = require("mongoose")
+const Item = require("./Item")
+const { matchesQuery } = require("../utils/search")
+const { distanceKm } = require("../utils/geo")
+
+const MAX_SAVED_SEARCHES = 20
+
+const enumOf = (path) => Item.schema.path(path).enumValues
+
+// A member's stored GET /api/items filter set. Newly approved items are checked
+// against every saved search and matching members are notified.
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Enum filters share the Item schema's values so both stay in step
+    filters: {
+      category: [{ type: String, enum: enumOf("category") }],
+      type: { type: [{ type: String, enum: enumOf("type") }] },
+      size: [{ type: String, enum: enumOf("size") }],
+      condition: [{ type: String, enum: enumOf("condition") }],
+      // Free-text values are stored lowercase and matched case-insensitively
+      brand: [{ type: String, lowercase: true, trim: true }],
+      color: [{ type: String, lowercase: true, trim: true }],
+      tags: [{ type: String, lowercase: true, trim: true }],
+      minPoints: { type: Number, min: 1 },
+      maxPoints: { type: Number, min: 1 },
+      search: { type: String, trim: true, maxlength: 100 },
+      near: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
+      radiusKm: { type: Number, min: 0.1, max: 500 },
+    },
+    lastMatchedAt: Date,
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for listing a member's searches and for narrowing candidates on approval
+savedSearchSchema.index({ user: 1, createdAt: -1 })
+savedSearchSchema.index({ "filters.category": 1 })
+
+// The GET /api/items query string that re-runs this search
+savedSearchSchema.methods.toQueryString = function () {
+  const { filters } = this
+  const params = new URLSearchParams()
+
+  ;["category", "type", "size", "condition", "brand", "color", "tags"].forEach((field) => {
+    if (filters[field].length) params.set(field, filters[field].join(","))
+  })
+  if (filters.minPoints) params.set("minPoints", filters.minPoints)
+  if (filters.maxPoints) params.set("maxPoints", filters.maxPoints)
+  if (filters.search) params.set("search", filters.search)
+  if (filters.near && filters.near.coordinates) {
+    const [lng, lat] = filters.near.coordinates
+    params.set("near", `${lat},${lng}`)
+    params.set("radiusKm", filters.radiusKm)
+  }
+
+  return params.toString()
+}
+
+// Whether an approved item satisfies this search
+savedSearchSchema.methods.matches = function (item) {
+  const { filters } = this
+  const lower = (value) => String(value || "").toLowerCase()
+
+  for (const field of ["category", "type", "size", "condition"]) {
+    if (filters[field].length && !filters[field].includes(item[field])) return false
+  }
+  if (filters.brand.length && !filters.brand.includes(lower(item.brand))) return false
+  if (filters.color.length && !filters.color.includes(lower(item.color))) return false
+  if (filters.tags.length && !(item.tags || []).some((tag) => filters.tags.includes(lower(tag)))) return false
+
+  if (filters.minPoints && item.pointValue < filters.minPoints) return false
+  if (filters.maxPoints && item.pointValue > filters.maxPoints) return false
+
+  if (filters.near && filters.near.coordinates) {
+    const point = item.location && item.location.point
+    if (!point || !point.coordinates) return false
+    if (distanceKm(filters.near.coordinates, point.coordinates) > filters.radiusKm) return false
+  }
+
+  if (filters.search && !matchesQuery(item, filters.search)) return false
+
+  return true
+}
+
+// Notify members whose saved searches match a newly approved item.
+// Each member gets one notification listing the searches that matched.
+savedSearchSchema.statics.notifyMatches = async function (io, item) {
+  const Notification = mongoose.model("Notification")
+  const ownerId = (item.owner._id || item.owner).toString()
+
+  // Enum filters narrow the candidates in the database; the rest is checked per search
+  const anyOrIncludes = (field) => ({
+    $or: [{ [`filters.${field}`]: { $size: 0 } }, { [`filters.${field}`]: item[field] }],
+  })
+  const candidates = await this.find({
+    user: { $ne: ownerId },
+    $and: ["category", "type", "size", "condition"].map(anyOrIncludes),
+  })
+
+  const matchesByUser = new Map()
+  candidates
+    .filter((search) => search.matches(item))
+    .forEach((search) => {
+      const userId = search.user.toString()
+      if (!matchesByUser.has(userId)) matchesByUser.set(userId, [])
+      matchesByUser.get(userId).push(search)
+    })
+
+  if (!matchesByUser.size) return 0
+
+  await this.updateMany(
+    { _id: { $in: [...matchesByUser.values()].flat().map((search) => search._id) } },
+    { $set: { lastMatchedAt: new Date() }, $inc: { matchCount: 1 } },
+  )
+
+  await Promise.all(
+    [...matchesByUser.entries()].map(([userId, searches]) =>
+      Notification.send(io, userId, "saved-search-match", {
+        item: { _id: item._id, title: item.title },
+        searches: searches.map((search) => ({ _id: search._id, name: search.name })),
+        message: `New match for "${searches[0].name}": ${item.title}`,
+      }),
+    ),
+  )
+
+  return matchesByUser.size
+}
+
+savedSearchSchema.statics.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema)
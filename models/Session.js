@@ -0,0 +1,130 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Refresh tokens carry their session id so the session can be found without a hash lookup
+const generateToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`
+
+const nextExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+// One session per signed-in device. The refresh token rotates on every use;
+// only its hash is stored, plus the previous hash to detect replayed tokens.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    previousTokenHash: String,
+    // Set when the sign-in completed a two-factor check; required for admin routes
+    twoFactorVerified: {
+      type: Boolean,
+      default: false,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for session lookups
+sessionSchema.index({ user: 1, revokedAt: 1 })
+sessionSchema.index({ tokenHash: 1 })
+
+// Expired sessions are cleaned up automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date()
+}
+
+// Generate a fresh refresh token for this session (caller saves the session)
+sessionSchema.methods.rotateToken = function () {
+  const refreshToken = generateToken(this._id)
+  if (this.tokenHash) this.previousTokenHash = this.tokenHash
+  this.tokenHash = hashToken(refreshToken)
+  this.lastUsedAt = new Date()
+  this.expiresAt = nextExpiry()
+  return refreshToken
+}
+
+sessionSchema.methods.revoke = function (reason) {
+  this.revokedAt = new Date()
+  this.revokedReason = reason
+  return this.save()
+}
+
+// Start a session for a user signing in from a request
+sessionSchema.statics.start = async function (userId, req, { twoFactorVerified = false } = {}) {
+  const session = new this({
+    user: userId,
+    twoFactorVerified,
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+  })
+  const refreshToken = session.rotateToken()
+  await session.save()
+  return { session, refreshToken }
+}
+
+// Exchange a refresh token for a new one.
+// The swap is a single conditional update, so of two requests presenting the same token only
+// one can rotate it. Presenting an already-rotated token, including losing that race, revokes
+// the session, since the token may have been stolen.
+sessionSchema.statics.refresh = async function (refreshToken) {
+  const [sessionId] = String(refreshToken).split(".")
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null
+
+  const tokenHash = hashToken(String(refreshToken))
+  const newRefreshToken = generateToken(sessionId)
+  const now = new Date()
+
+  const session = await this.findOneAndUpdate(
+    { _id: sessionId, tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        expiresAt: nextExpiry(),
+      },
+    },
+    { new: true },
+  )
+  if (session) return { session, refreshToken: newRefreshToken }
+
+  const existing = await this.findById(sessionId)
+  if (existing && existing.isActive() && tokenHash === existing.previousTokenHash) {
+    await existing.revoke("refresh-token-reuse")
+  }
+  return null
+}
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function (userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null }
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } })
+}
+
+module.exports = mongoose.model("Session", sessionSchema)
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose")
 
+// Most items either side can put into one swap
+const MAX_BUNDLE_ITEMS = 5
+
 const swapSchema = new mongoose.Schema(
   {
     type: {
@@ -17,6 +20,22 @@ const swapSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Items requested from the owner and offered by the requester; a bundle swap has several
+    requestedItems: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Item" }],
+      validate: {
+        validator: (items) => items.length >= 1 && items.length <= MAX_BUNDLE_ITEMS,
+        message: `A swap needs between 1 and ${MAX_BUNDLE_ITEMS} requested items`,
+      },
+    },
+    offeredItems: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Item" }],
+      validate: {
+        validator: (items) => items.length <= MAX_BUNDLE_ITEMS,
+        message: `A swap can offer at most ${MAX_BUNDLE_ITEMS} items`,
+      },
+    },
+    // First requested and offered item, kept in step with the lists for older clients
     requestedItem: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Item",
@@ -27,12 +46,36 @@ const swapSchema = new mongoose.Schema(
       ref: "Item",
       required: false, // Not required for point redemption
     },
+    // Points paid by the requester: the price of a redemption, or a top-up on a direct swap
     pointsOffered: {
       type: Number,
+      min: 1,
       required: function () {
         return this.type === "point-redemption"
       },
     },
+    pointsEscrow: {
+      type: String,
+      enum: ["held", "released", "captured"],
+    },
+    // Current revision of the terms above; each counter-offer adds one
+    revision: {
+      type: Number,
+      default: 1,
+    },
+    // Negotiation history: the terms proposed at each revision, oldest first
+    revisions: [
+      {
+        number: { type: Number, required: true },
+        proposedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        role: { type: String, enum: ["requester", "owner"], required: true },
+        type: { type: String, enum: ["direct-swap", "point-redemption"] },
+        offeredItems: [{ type: mongoose.Schema.Types.ObjectId, ref: "Item" }],
+        pointsOffered: Number,
+        message: { type: String, maxlength: 500 },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
     status: {
       type: String,
       enum: ["pending", "accepted", "rejected", "completed", "cancelled"],
@@ -87,18 +130,39 @@ const swapSchema = new mongoose.Schema(
     rating: {
       requesterRating: {
         score: { type: Number, min: 1, max: 5 },
-        comment: String,
+        comment: { type: String, maxlength: 500 },
         date: Date,
+        editedAt: Date,
       },
       ownerRating: {
         score: { type: Number, min: 1, max: 5 },
-        comment: String,
+        comment: { type: String, maxlength: 500 },
         date: Date,
+        editedAt: Date,
       },
     },
+    acceptedAt: Date,
     completedAt: Date,
+    settledAt: Date,
     cancelledAt: Date,
     cancelReason: String,
+    // Set when the expiry job cancels the swap: an unanswered offer or an accepted swap nobody completed
+    expiredAt: Date,
+    expiryReason: {
+      type: String,
+      enum: ["pending-timeout", "accepted-abandoned"],
+    },
+    // Accepted swap holding this pending swap's items; it goes ahead again if that one is cancelled
+    waitlistedBehind: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Swap",
+    },
+    // Nudges sent to both participants of an accepted swap that hasn't been completed
+    lastReminderAt: Date,
+    reminderCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -108,69 +172,462 @@ const swapSchema = new mongoose.Schema(
 // Indexes for efficient queries
 swapSchema.index({ requester: 1, status: 1 })
 swapSchema.index({ owner: 1, status: 1 })
-swapSchema.index({ requestedItem: 1 })
-swapSchema.index({ offeredItem: 1 })
+swapSchema.index({ requestedItems: 1 })
+swapSchema.index({ offeredItems: 1 })
 swapSchema.index({ status: 1, createdAt: -1 })
+swapSchema.index({ status: 1, acceptedAt: 1 })
+swapSchema.index({ waitlistedBehind: 1 })
 
-// Middleware to update item availability when swap is accepted
-swapSchema.post("save", async (doc) => {
-  if (doc.status === "accepted") {
-    const Item = mongoose.model("Item")
+// Allowed status transitions and which participant may perform them
+const STATUS_TRANSITIONS = {
+  pending: {
+    // Whichever side did not make the latest proposal; see canTransition
+    accepted: ["owner", "requester"],
+    rejected: ["owner"],
+    cancelled: ["requester"],
+  },
+  accepted: {
+    completed: ["requester", "owner"],
+    cancelled: ["requester", "owner"],
+  },
+}
+
+swapSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS
+swapSchema.statics.MAX_BUNDLE_ITEMS = MAX_BUNDLE_ITEMS
+
+const idOf = (ref) => (ref && ref._id) || ref
+
+// Swaps created with a single requestedItem/offeredItem get their lists filled in,
+// and the lead items always follow the lists
+swapSchema.pre("validate", function (next) {
+  if (!this.requestedItems.length && this.requestedItem) this.requestedItems = [this.requestedItem]
+  if (!this.offeredItems.length && this.offeredItem) this.offeredItems = [this.offeredItem]
+
+  if (this.isNew || this.isModified("requestedItems") || this.isModified("offeredItems")) {
+    this.requestedItem = idOf(this.requestedItems[0])
+    this.offeredItem = idOf(this.offeredItems[0])
+  }
 
-    // Update requested item
-    await Item.findByIdAndUpdate(doc.requestedItem, {
-      availability: "pending-swap",
+  // The request itself is the first revision of the terms
+  if (this.isNew && !this.revisions.length) {
+    this.revisions.push({
+      number: 1,
+      proposedBy: idOf(this.requester),
+      role: "requester",
+      type: this.type,
+      offeredItems: this.offeredItems.map(idOf),
+      pointsOffered: this.pointsOffered,
+      message: this.message,
     })
+  }
+  next()
+})
 
-    // Update offered item if it exists (direct swap)
-    if (doc.offeredItem) {
-      await Item.findByIdAndUpdate(doc.offeredItem, {
-        availability: "pending-swap",
-      })
+// Every item moving in this swap, from both sides
+swapSchema.methods.getItemIds = function () {
+  return [...this.requestedItems, ...this.offeredItems].map(idOf)
+}
+
+// Requested item titles for notifications, e.g. '"Wool coat" and 1 more' (needs requestedItems populated).
+// Populate drops items that have since been deleted, so those are left out.
+swapSchema.methods.describeRequestedItems = function () {
+  const [first, ...rest] = this.requestedItems.filter((item) => item && item.title)
+  if (!first) return "an item that is no longer listed"
+  return rest.length ? `"${first.title}" and ${rest.length} more` : `"${first.title}"`
+}
+
+// Method to check if user is participant
+swapSchema.methods.isParticipant = function (userId) {
+  return this.getRole(userId) !== null
+}
+
+// Method to get the participant role ("requester" or "owner") of a user
+swapSchema.methods.getRole = function (userId) {
+  const requesterId = (this.requester._id || this.requester).toString()
+  const ownerId = (this.owner._id || this.owner).toString()
+
+  if (requesterId === userId.toString()) return "requester"
+  if (ownerId === userId.toString()) return "owner"
+  return null
+}
+
+// Method to get other participant
+swapSchema.methods.getOtherParticipant = function (userId) {
+  const role = this.getRole(userId)
+  if (role === "requester") return this.owner._id || this.owner
+  if (role === "owner") return this.requester._id || this.requester
+  return null
+}
+
+// Role that made the proposal currently on the table
+swapSchema.methods.getLatestProposer = function () {
+  const latest = this.revisions[this.revisions.length - 1]
+  return latest ? latest.role : "requester"
+}
+
+// Method to check whether a user may move the swap to a new status
+swapSchema.methods.canTransition = function (newStatus, userId) {
+  const role = this.getRole(userId)
+  const allowedRoles = (STATUS_TRANSITIONS[this.status] || {})[newStatus]
+  if (!allowedRoles || !allowedRoles.includes(role)) return false
+
+  // Only the other side can accept a proposal
+  if (this.status === "pending" && newStatus === "accepted") return role !== this.getLatestProposer()
+  return true
+}
+
+// Make the next save only match while the swap still has the status and revision it was
+// loaded with, so a counter-offer and an accept racing each other can't both succeed.
+// Call before changing the swap; a lost race fails the save with DocumentNotFoundError.
+swapSchema.methods.lockCurrentState = function () {
+  // Swaps from before counter-offers have no stored revision
+  this.$where = { status: this.status, revision: this.revision > 1 ? this.revision : { $in: [1, null] } }
+}
+
+// Replace the offered side of a pending swap with new terms and record the revision.
+// The requester's point hold is adjusted to the new amount inside the caller's transaction.
+swapSchema.methods.counter = async function ({ proposedBy, offeredItems, pointsOffered, message }, session) {
+  const User = mongoose.model("User")
+  const requesterId = idOf(this.requester)
+
+  // Keep the original terms in the history of swaps created before counter-offers
+  if (!this.revisions.length) {
+    this.revisions.push({
+      number: 1,
+      proposedBy: requesterId,
+      role: "requester",
+      type: this.type,
+      offeredItems: this.offeredItems.map(idOf),
+      pointsOffered: this.pointsOffered,
+      message: this.message,
+      createdAt: this.createdAt,
+    })
+  }
+
+  this.lockCurrentState()
+
+  const heldPoints = this.pointsEscrow === "held" ? this.pointsOffered : 0
+  const newPoints = pointsOffered || 0
+  if (newPoints > heldPoints) await User.holdPoints(requesterId, newPoints - heldPoints, session)
+  if (newPoints < heldPoints) await User.releasePoints(requesterId, heldPoints - newPoints, session)
+
+  this.type = offeredItems.length ? "direct-swap" : "point-redemption"
+  this.offeredItems = offeredItems
+  this.pointsOffered = newPoints || undefined
+  if (newPoints) this.pointsEscrow = "held"
+  else if (heldPoints) this.pointsEscrow = "released"
+
+  this.revision += 1
+  this.revisions.push({
+    number: this.revision,
+    proposedBy,
+    role: this.getRole(proposedBy),
+    type: this.type,
+    offeredItems,
+    pointsOffered: this.pointsOffered,
+    message,
+  })
+
+  await this.save({ session })
+}
+
+// Static method to summarise the ratings a user has received from swap partners.
+// requesterRating is left by the requester about the owner, ownerRating by the owner about the requester.
+swapSchema.statics.getRatingSummary = async function (userId) {
+  const id = new mongoose.Types.ObjectId(userId.toString())
+
+  const ratings = await this.aggregate([
+    { $match: { status: "completed", $or: [{ owner: id }, { requester: id }] } },
+    {
+      $project: {
+        from: { $cond: [{ $eq: ["$owner", id] }, "$requester", "$owner"] },
+        received: { $cond: [{ $eq: ["$owner", id] }, "$rating.requesterRating", "$rating.ownerRating"] },
+      },
+    },
+    { $match: { "received.score": { $exists: true } } },
+    { $sort: { "received.date": -1 } },
+  ])
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+  let total = 0
+  ratings.forEach(({ received }) => {
+    distribution[received.score] += 1
+    total += received.score
+  })
+
+  const recentComments = ratings
+    .filter(({ received }) => received.comment)
+    .slice(0, 5)
+    .map(({ _id, from, received }) => ({
+      swap: _id,
+      from,
+      score: received.score,
+      comment: received.comment,
+      date: received.date,
+    }))
+
+  return {
+    average: ratings.length ? Math.round((total / ratings.length) * 10) / 10 : null,
+    count: ratings.length,
+    distribution,
+    recentComments,
+  }
+}
+
+// Static method to count unread messages per swap for a user
+swapSchema.statics.getUnreadCounts = async function (swapIds, userId) {
+  const id = new mongoose.Types.ObjectId(userId.toString())
+
+  const results = await this.aggregate([
+    { $match: { _id: { $in: swapIds } } },
+    {
+      $project: {
+        unread: {
+          $size: {
+            $filter: {
+              input: "$conversation",
+              cond: { $and: [{ $ne: ["$$this.sender", id] }, { $eq: ["$$this.read", false] }] },
+            },
+          },
+        },
+      },
+    },
+  ])
+
+  return results.reduce((counts, { _id, unread }) => {
+    counts[_id.toString()] = unread
+    return counts
+  }, {})
+}
+
+// Remember the persisted status so post-save hooks only react to real transitions
+swapSchema.post("init", function () {
+  this.$locals.previousStatus = this.status
+})
+
+swapSchema.pre("save", function (next) {
+  this.$locals.statusChanged = this.isNew || this.isModified("status")
+  next()
+})
+
+// Middleware to update item availability when swap status changes; all items of a bundle move together.
+// Runs inside the caller's transaction when the swap was saved with a session.
+swapSchema.post("save", async (doc) => {
+  const previousStatus = doc.$locals.previousStatus
+  const statusChanged = doc.$locals.statusChanged
+  doc.$locals.previousStatus = doc.status
+
+  if (!statusChanged) return
+
+  const Item = mongoose.model("Item")
+  const session = doc.$session()
+  const itemIds = doc.getItemIds()
+
+  if (["rejected", "cancelled"].includes(doc.status)) {
+    await doc.releaseEscrow(session)
+  }
+
+  if (doc.status === "cancelled" && previousStatus === "accepted") {
+    // Release items that were reserved for this swap
+    await Item.updateMany(
+      { _id: { $in: itemIds }, availability: "pending-swap" },
+      { availability: "available" },
+      { session },
+    )
+  }
+
+  if (doc.status === "accepted") {
+    // Claim every item only if all of them are still available, so two swaps can't both reserve one.
+    // A partial claim throws and is rolled back with the caller's transaction.
+    const claim = await Item.updateMany(
+      { _id: { $in: itemIds }, availability: "available" },
+      { availability: "pending-swap" },
+      { session },
+    )
+    if (claim.modifiedCount !== itemIds.length) {
+      const error = new Error("One or more items in this swap are no longer available")
+      error.name = "ItemUnavailableError"
+      throw error
     }
   }
 
   if (doc.status === "completed") {
-    const Item = mongoose.model("Item")
-    const User = mongoose.model("User")
+    await Item.updateMany({ _id: { $in: itemIds } }, { availability: "swapped" }, { session })
+  }
+})
 
-    // Update items to swapped status
-    await Item.findByIdAndUpdate(doc.requestedItem, {
-      availability: "swapped",
+// Pending swaps other than this one that involve any of its items
+swapSchema.methods.findCompetingSwaps = function (session) {
+  const itemIds = this.getItemIds()
+  return mongoose
+    .model("Swap")
+    .find({
+      _id: { $ne: this._id },
+      status: "pending",
+      $or: [{ requestedItems: { $in: itemIds } }, { offeredItems: { $in: itemIds } }],
     })
+    .populate("requestedItems", "title")
+    .session(session || null)
+}
 
-    if (doc.offeredItem) {
-      await Item.findByIdAndUpdate(doc.offeredItem, {
-        availability: "swapped",
-      })
+// Deal with pending swaps that compete with this one for its items, once it is accepted or completed.
+// They are either waitlisted behind this swap or closed: requests for the same items are rejected
+// and swaps offering them are cancelled. Resolves to the competing swaps for notifyCompetitors.
+swapSchema.methods.resolveCompetingSwaps = async function ({ waitlist = false } = {}, session) {
+  const competitors = await this.findCompetingSwaps(session)
+  const claimed = new Set(this.getItemIds().map(String))
+
+  for (const competitor of competitors) {
+    if (waitlist) {
+      competitor.waitlistedBehind = this._id
+    } else {
+      const wantsClaimedItem = competitor.requestedItems.some((item) => claimed.has(idOf(item).toString()))
+      competitor.status = wantsClaimedItem ? "rejected" : "cancelled"
+      competitor.cancelReason = "An item in this swap was promised in another swap"
+      if (!wantsClaimedItem) competitor.cancelledAt = new Date()
+      competitor.waitlistedBehind = undefined
     }
+    // Saving through the document releases escrowed points of closed swaps
+    await competitor.save({ session })
+  }
 
-    // Update user stats
-    await User.findByIdAndUpdate(doc.requester, {
-      $inc: { "stats.itemsSwapped": 1 },
-    })
+  return competitors
+}
 
-    await User.findByIdAndUpdate(doc.owner, {
-      $inc: { "stats.itemsSwapped": 1 },
-    })
+// Tell participants of competing swaps what happened to them. The member whose action
+// caused it already knows, so they are left out.
+swapSchema.statics.notifyCompetitors = function (io, competitors, actorId) {
+  const Notification = mongoose.model("Notification")
 
-    // Handle points for point redemption
-    if (doc.type === "point-redemption") {
-      await User.findByIdAndUpdate(doc.requester, {
-        $inc: {
-          points: -doc.pointsOffered,
-          "stats.pointsSpent": doc.pointsOffered,
-        },
-      })
+  return Promise.all(
+    competitors.map((competitor) => {
+      const recipients = [competitor.requester, competitor.owner].filter(
+        (userId) => userId.toString() !== actorId.toString(),
+      )
+      const items = competitor.describeRequestedItems()
 
-      await User.findByIdAndUpdate(doc.owner, {
-        $inc: {
-          points: doc.pointsOffered,
-          "stats.pointsEarned": doc.pointsOffered,
-        },
+      if (competitor.status === "pending") {
+        return Notification.send(io, recipients, "swap-waitlisted", {
+          swapId: competitor._id,
+          status: competitor.status,
+          waitlistedBehind: competitor.waitlistedBehind,
+          message: `The swap for ${items} is waitlisted because an item in it was promised in another swap`,
+        })
+      }
+
+      return Notification.send(io, recipients, competitor.status === "rejected" ? "swap-response" : "swap-cancelled", {
+        swapId: competitor._id,
+        status: competitor.status,
+        message: `The swap for ${items} was ${competitor.status === "rejected" ? "declined" : "cancelled"} because an item in it was promised in another swap`,
       })
+    }),
+  )
+}
+
+// Put swaps waitlisted behind this one back in play after it was cancelled, and tell their participants
+swapSchema.methods.releaseWaitlist = async function (io) {
+  const Swap = mongoose.model("Swap")
+  const waitlisted = await Swap.find({ waitlistedBehind: this._id, status: "pending" }).populate("requestedItems", "title")
+  if (!waitlisted.length) return 0
+
+  await Swap.updateMany({ _id: { $in: waitlisted.map((swap) => swap._id) } }, { $unset: { waitlistedBehind: 1 } })
+
+  await Promise.all(
+    waitlisted.map((swap) =>
+      mongoose.model("Notification").send(io, [swap.requester, swap.owner], "swap-waitlist-released", {
+        swapId: swap._id,
+        status: swap.status,
+        message: `The items in the swap for ${swap.describeRequestedItems()} are available again, so it can go ahead`,
+      }),
+    ),
+  )
+  return waitlisted.length
+}
+
+// Release the requester's held points when a swap that pays points does not go ahead.
+// Idempotent: only a swap whose escrow is still held releases anything.
+swapSchema.methods.releaseEscrow = async function (session) {
+  if (!this.pointsOffered) return false
+
+  const Swap = mongoose.model("Swap")
+  const User = mongoose.model("User")
+
+  const release = await Swap.updateOne(
+    { _id: this._id, pointsEscrow: "held" },
+    { pointsEscrow: "released" },
+    { session },
+  )
+
+  if (release.modifiedCount === 0) return false
+
+  await User.releasePoints(this.requester._id || this.requester, this.pointsOffered, session)
+  this.pointsEscrow = "released"
+  return true
+}
+
+// Move points and update stats for a completed swap.
+// Idempotent: only the first call for a swap claims settledAt and writes ledger entries.
+swapSchema.methods.settle = async function (session) {
+  const Swap = mongoose.model("Swap")
+  const User = mongoose.model("User")
+  const PointTransaction = mongoose.model("PointTransaction")
+
+  const settledAt = new Date()
+  const claim = await Swap.updateOne(
+    { _id: this._id, status: "completed", settledAt: null },
+    { settledAt },
+    { session },
+  )
+
+  if (claim.modifiedCount === 0) return false
+
+  const requesterId = this.requester._id || this.requester
+  const ownerId = this.owner._id || this.owner
+  const requestedItemId = idOf(this.requestedItem)
+
+  await User.updateMany({ _id: { $in: [requesterId, ownerId] } }, { $inc: { "stats.itemsSwapped": 1 } }, { session })
+
+  // Redemptions and direct swaps with a top-up both pay points
+  if (this.pointsOffered) {
+    // Turn the hold placed at request time into a real debit
+    const capture = await Swap.updateOne(
+      { _id: this._id, pointsEscrow: "held" },
+      { pointsEscrow: "captured" },
+      { session },
+    )
+    if (capture.modifiedCount > 0) {
+      await User.releasePoints(requesterId, this.pointsOffered, session)
+      this.pointsEscrow = "captured"
     }
+
+    await PointTransaction.applyDelta(
+      { user: requesterId, delta: -this.pointsOffered, reason: "swap-redemption", swap: this._id, item: requestedItemId },
+      session,
+    )
+    await PointTransaction.applyDelta(
+      { user: ownerId, delta: this.pointsOffered, reason: "swap-earning", swap: this._id, item: requestedItemId },
+      session,
+    )
+
+    await User.findByIdAndUpdate(requesterId, { $inc: { "stats.pointsSpent": this.pointsOffered } }, { session })
+    await User.findByIdAndUpdate(ownerId, { $inc: { "stats.pointsEarned": this.pointsOffered } }, { session })
   }
-})
+
+  this.settledAt = settledAt
+  return true
+}
+
+// Fill the item lists of swaps created before bundles existed
+swapSchema.statics.backfillItemLists = async function () {
+  const result = await this.updateMany({ requestedItems: { $exists: false } }, [
+    {
+      $set: {
+        requestedItems: ["$requestedItem"],
+        offeredItems: { $cond: [{ $ifNull: ["$offeredItem", false] }, ["$offeredItem"], []] },
+      },
+    },
+  ])
+  return result.modifiedCount
+}
 
 module.exports = mongoose.model("Swap", swapSchema)
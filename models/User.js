@@ -1,5 +1,8 @@
 const mongoose = require("mongoose")
+const crypto = require("crypto")
 const bcrypt = require("bcryptjs")
+const totp = require("../utils/totp")
+const { toPoint, backfillPoints } = require("../utils/geo")
 
 const userSchema = new mongoose.Schema(
   {
@@ -18,6 +21,11 @@ const userSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
     password: {
       type: String,
       required: true,
@@ -40,6 +48,12 @@ const userSchema = new mongoose.Schema(
     points: {
       type: Number,
       default: 100, // Starting points for new users
+      min: 0, // Kept in sync with the PointTransaction ledger
+    },
+    escrowedPoints: {
+      type: Number,
+      default: 0, // Points on hold for pending point-redemption swaps
+      min: 0,
     },
     role: {
       type: String,
@@ -50,6 +64,22 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    deletedAt: Date,
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: Date,
+    lockedUntil: Date,
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: Date,
+      // Secrets and recovery code hashes are never loaded unless explicitly selected
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+    },
     bio: {
       type: String,
       maxlength: 500,
@@ -58,6 +88,12 @@ const userSchema = new mongoose.Schema(
       city: String,
       state: String,
       country: String,
+      zipCode: String,
+      // Map position from the gazetteer, kept in step with the fields above
+      point: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined },
+      },
     },
     preferences: {
       categories: [String],
@@ -70,6 +106,26 @@ const userSchema = new mongoose.Schema(
       pointsEarned: { type: Number, default: 0 },
       pointsSpent: { type: Number, default: 0 },
     },
+    reputation: {
+      average: { type: Number, default: null },
+      count: { type: Number, default: 0 },
+      distribution: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 },
+      },
+      recentComments: [
+        {
+          swap: { type: mongoose.Schema.Types.ObjectId, ref: "Swap" },
+          from: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          score: Number,
+          comment: String,
+          date: Date,
+        },
+      ],
+    },
   },
   {
     timestamps: true,
@@ -79,6 +135,7 @@ const userSchema = new mongoose.Schema(
 // Index for search optimization
 userSchema.index({ username: 1, email: 1 })
 userSchema.index({ "location.city": 1, "location.state": 1 })
+userSchema.index({ "location.point": "2dsphere" })
 
 // Hash password before saving
 userSchema.pre("save", async function (next) {
@@ -93,16 +150,202 @@ userSchema.pre("save", async function (next) {
   }
 })
 
+// Place the free-text location on the map
+userSchema.pre("save", function (next) {
+  const changed = ["city", "state", "country", "zipCode"].some((field) => this.isModified(`location.${field}`))
+  if (this.location && changed) {
+    this.location.point = toPoint(this.location)
+  }
+  next()
+})
+
 // Compare password method
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password)
 }
 
+// Failed login handling: after a few failures each attempt must wait progressively longer,
+// and reaching the maximum locks the account for a while
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5
+const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15
+const LOGIN_FREE_ATTEMPTS = 2
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date())
+}
+
+// Milliseconds the user still has to wait before the next login attempt
+userSchema.methods.getLoginDelay = function () {
+  if (this.failedLoginAttempts <= LOGIN_FREE_ATTEMPTS || !this.lastFailedLoginAt) return 0
+  const delay = Math.pow(2, this.failedLoginAttempts - LOGIN_FREE_ATTEMPTS) * 1000
+  return Math.max(0, this.lastFailedLoginAt.getTime() + delay - Date.now())
+}
+
+userSchema.methods.registerFailedLogin = async function () {
+  const User = this.constructor
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true, select: "failedLoginAttempts lastFailedLoginAt" },
+  )
+
+  if (updated.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000)
+    await User.findByIdAndUpdate(this._id, { $set: { lockedUntil, failedLoginAttempts: 0 } })
+    this.lockedUntil = lockedUntil
+    return { locked: true, lockedUntil }
+  }
+
+  this.failedLoginAttempts = updated.failedLoginAttempts
+  this.lastFailedLoginAt = updated.lastFailedLoginAt
+  return { locked: false, attemptsRemaining: LOGIN_MAX_ATTEMPTS - updated.failedLoginAttempts }
+}
+
+userSchema.methods.resetLoginAttempts = function () {
+  if (!this.failedLoginAttempts && !this.lockedUntil) return Promise.resolve()
+  return this.constructor.findByIdAndUpdate(this._id, {
+    $set: { failedLoginAttempts: 0 },
+    $unset: { lastFailedLoginAt: 1, lockedUntil: 1 },
+  })
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex")
+
+// Create a fresh set of recovery codes; only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode)
+  return codes
+}
+
+// Check a TOTP code or a single-use recovery code.
+// Requires a document loaded with +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep.
+userSchema.methods.verifyTwoFactor = async function (code) {
+  const User = this.constructor
+  if (!this.twoFactor.enabled || !code) return null
+
+  const step = totp.verifyCode(this.twoFactor.secret, code, { afterStep: this.twoFactor.lastUsedStep ?? -1 })
+  if (step !== null) {
+    // Conditional update so the same code can't be used twice, even concurrently
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [{ "twoFactor.lastUsedStep": { $exists: false } }, { "twoFactor.lastUsedStep": { $lt: step } }],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } },
+    )
+    return result.modifiedCount > 0 ? "totp" : null
+  }
+
+  const codeHash = hashRecoveryCode(String(code))
+  const result = await User.updateOne(
+    { _id: this._id, "twoFactor.recoveryCodes": codeHash },
+    { $pull: { "twoFactor.recoveryCodes": codeHash } },
+  )
+  return result.modifiedCount > 0 ? "recovery" : null
+}
+
+// Strip personal data from a closed account. The document stays so completed swaps,
+// ratings and the point ledger keep a valid reference for the other party.
+userSchema.methods.anonymize = function () {
+  const placeholder = `deleted_${this._id.toString().slice(-12)}`
+
+  this.username = placeholder
+  this.email = `${placeholder}@deleted.invalid`
+  this.password = crypto.randomBytes(32).toString("hex")
+  this.firstName = "Deleted"
+  this.lastName = "User"
+  this.avatar = null
+  this.bio = undefined
+  this.location = {}
+  this.preferences = undefined
+  this.emailVerified = false
+  this.emailVerifiedAt = undefined
+  this.twoFactor = { enabled: false }
+  this.reputation.recentComments = []
+  this.isActive = false
+  this.deletedAt = new Date()
+}
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject()
   delete user.password
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt }
+  }
+  delete user.failedLoginAttempts
+  delete user.lastFailedLoginAt
+  if (user.points !== undefined) {
+    user.availablePoints = user.points - (user.escrowedPoints || 0)
+  }
   return user
 }
 
+// Public profile view: only fields that are safe to show to other members
+userSchema.methods.toPublicJSON = function () {
+  return {
+    _id: this._id,
+    username: this.username,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    avatar: this.avatar,
+    bio: this.bio,
+    location: { city: this.location && this.location.city },
+    stats: {
+      itemsListed: this.stats.itemsListed,
+      itemsSwapped: this.stats.itemsSwapped,
+    },
+    reputation: this.reputation,
+    memberSince: this.createdAt,
+  }
+}
+
+// Recalculate the stored reputation from the ratings on completed swaps
+userSchema.statics.updateReputation = async function (userId) {
+  const Swap = mongoose.model("Swap")
+  const reputation = await Swap.getRatingSummary(userId)
+  await this.findByIdAndUpdate(userId, { reputation })
+  return reputation
+}
+
+// Put points on hold for a swap; fails when the available (unheld) balance is too low
+userSchema.statics.holdPoints = async function (userId, amount, session) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $expr: { $gte: [{ $subtract: ["$points", { $ifNull: ["$escrowedPoints", 0] }] }, amount] },
+    },
+    { $inc: { escrowedPoints: amount } },
+    { session },
+  )
+
+  if (result.modifiedCount === 0) {
+    const error = new Error("Insufficient available points")
+    error.name = "InsufficientPointsError"
+    throw error
+  }
+}
+
+// Return held points to the user's available balance
+userSchema.statics.releasePoints = function (userId, amount, session) {
+  return this.updateOne({ _id: userId }, { $inc: { escrowedPoints: -amount } }, { session })
+}
+
+// Accounts created before email verification existed have no emailVerified field at all;
+// they are treated as verified rather than being locked out of swapping
+userSchema.statics.backfillEmailVerified = async function () {
+  const result = await this.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } })
+  return result.modifiedCount
+}
+
+// Put members who set a location before geo search on the map
+userSchema.statics.backfillLocationPoints = function () {
+  return backfillPoints(this)
+}
+
 module.exports = mongoose.model("User", userSchema)
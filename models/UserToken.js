@@ -0,0 +1,64 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Single-use tokens sent by email. Only the hash is stored.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+)
+
+userTokenSchema.index({ user: 1, type: 1 })
+
+// Expired tokens are cleaned up automatically
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Create a token for a user, invalidating any earlier unused token of the same type
+userTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex")
+
+  await this.deleteMany({ user: userId, type, usedAt: null })
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  })
+
+  return token
+}
+
+// Mark a token as used and return it, or null when it is unknown, expired or already used
+userTokenSchema.statics.consume = function (token, type) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  )
+}
+
+module.exports = mongoose.model("UserToken", userTokenSchema)
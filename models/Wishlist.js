@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+
+// Items a member is watching. Unlike likes, entries are private and carry a note;
+// watchers are notified when an item becomes available again or its point value drops.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Item",
+    required: true,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// One entry per member and item; watchers are looked up by item
+wishlistSchema.index({ user: 1, item: 1 }, { unique: true })
+wishlistSchema.index({ user: 1, addedAt: -1 })
+wishlistSchema.index({ item: 1 })
+
+// Notify everyone watching an item except its owner
+wishlistSchema.statics.notifyWatchers = async function (io, item, type, payload) {
+  const ownerId = (item.owner._id || item.owner).toString()
+  const watchers = await this.find({ item: item._id, user: { $ne: ownerId } })
+    .select("user")
+    .lean()
+
+  if (!watchers.length) return 0
+
+  await mongoose.model("Notification").send(
+    io,
+    watchers.map((entry) => entry.user),
+    type,
+    { item: { _id: item._id, title: item.title }, ...payload },
+  )
+  return watchers.length
+}
+
+// Tell watchers about items that are live and available again, e.g. after an accepted swap was cancelled
+wishlistSchema.statics.notifyAvailable = async function (io, itemIds) {
+  const items = await mongoose
+    .model("Item")
+    .find({ _id: { $in: itemIds }, status: "approved", availability: "available" })
+    .select("title owner")
+
+  await Promise.all(
+    items.map((item) =>
+      this.notifyWatchers(io, item, "wishlist-available", {
+        message: `"${item.title}" on your wishlist is available again`,
+      }),
+    ),
+  )
+}
+
+wishlistSchema.statics.notifyPriceDrop = function (io, item, previousPointValue) {
+  return this.notifyWatchers(io, item, "wishlist-price-drop", {
+    previousPointValue,
+    pointValue: item.pointValue,
+    message: `"${item.title}" on your wishlist dropped from ${previousPointValue} to ${item.pointValue} points`,
+  })
+}
+
+module.exports = mongoose.model("Wishlist", wishlistSchema)
@@ -3,10 +3,28 @@ const { body, validationResult } = require('express-validator')
 const Item = require('../models/Item')
 const User = require('../models/User')
 const Swap = require('../models/Swap')
+const PointTransaction = require('../models/PointTransaction')
+const Notification = require('../models/Notification')
+const Session = require('../models/Session')
+const SavedSearch = require('../models/SavedSearch')
+const Wishlist = require('../models/Wishlist')
 const { auth, adminAuth } = require('../middleware/auth')
+const { paginate } = require('../utils/pagination')
+const { removeItemImage } = require('../utils/images')
 
 const router = express.Router()
 
+// Admin listings page newest first
+const NEWEST_FIRST = { field: 'createdAt', order: -1 }
+
+const listError = (res, error, label, message) => {
+  if (error.name === 'CursorError') {
+    return res.status(400).json({ message: error.message })
+  }
+  console.error(label, error)
+  res.status(500).json({ message })
+}
+
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin only)
@@ -80,9 +98,6 @@ router.get('/stats', adminAuth, async (req, res) => {
 // @access  Private (Admin only)
 router.get('/items', adminAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 20
-    const skip = (page - 1) * limit
     const status = req.query.status || 'pending'
 
     const filter = {}
@@ -90,26 +105,21 @@ router.get('/items', adminAuth, async (req, res) => {
       filter.status = status
     }
 
-    const items = await Item.find(filter)
-      .populate('owner', 'username firstName lastName email avatar')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await Item.countDocuments(filter)
+    const { results: items, pagination } = await paginate(Item, {
+      filter,
+      sort: NEWEST_FIRST,
+      limit: parseInt(req.query.limit) || 20,
+      params: req.query,
+      build: (query) => query.populate('owner', 'username firstName lastName email avatar')
+    })
 
     res.json({
       items,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total
-      }
+      pagination
     })
 
   } catch (error) {
-    console.error('Get admin items error:', error)
-    res.status(500).json({ message: 'Server error while fetching items for admin' })
+    listError(res, error, 'Get admin items error:', 'Server error while fetching items for admin')
   }
 })
 
@@ -142,11 +152,18 @@ router.put('/items/:id/approve', adminAuth, [
     await item.save()
 
     // Send notification to item owner
-    req.io.to(item.owner._id.toString()).emit('item-approved', {
-      item: item.toObject(),
+    await Notification.send(req.io, item.owner._id, 'item-approved', {
+      item: { _id: item._id, title: item.title },
       message: `Your item "${item.title}" has been approved and is now live!`
     })
 
+    // Alert members whose saved searches match; the approval stands even if this fails
+    try {
+      await SavedSearch.notifyMatches(req.io, item)
+    } catch (error) {
+      console.error('Saved search matching error:', error)
+    }
+
     res.json({
       message: 'Item approved successfully',
       item
@@ -187,8 +204,8 @@ router.put('/items/:id/reject', adminAuth, [
     await item.save()
 
     // Send notification to item owner
-    req.io.to(item.owner._id.toString()).emit('item-rejected', {
-      item: item.toObject(),
+    await Notification.send(req.io, item.owner._id, 'item-rejected', {
+      item: { _id: item._id, title: item.title },
       reason: req.body.reason,
       message: `Your item "${item.title}" has been rejected. Reason: ${req.body.reason}`
     })
@@ -219,8 +236,8 @@ router.delete('/items/:id', adminAuth, async (req, res) => {
     // Check if item is in any active swaps
     const activeSwaps = await Swap.countDocuments({
       $or: [
-        { requestedItem: req.params.id },
-        { offeredItem: req.params.id }
+        { requestedItems: req.params.id },
+        { offeredItems: req.params.id }
       ],
       status: { $in: ['pending', 'accepted'] }
     })
@@ -232,9 +249,11 @@ router.delete('/items/:id', adminAuth, async (req, res) => {
     }
 
     await Item.findByIdAndDelete(req.params.id)
+    await Wishlist.deleteMany({ item: req.params.id })
+    await Promise.allSettled(item.images.map(removeItemImage))
 
     // Notify item owner
-    req.io.to(item.owner._id.toString()).emit('item-deleted', {
+    await Notification.send(req.io, item.owner._id, 'item-deleted', {
       itemTitle: item.title,
       message: `Your item "${item.title}" has been removed by an administrator`
     })
@@ -252,9 +271,6 @@ router.delete('/items/:id', adminAuth, async (req, res) => {
 // @access  Private (Admin only)
 router.get('/users', adminAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 20
-    const skip = (page - 1) * limit
     const search = req.query.search
 
     let filter = {}
@@ -267,26 +283,21 @@ router.get('/users', adminAuth, async (req, res) => {
       ]
     }
 
-    const users = await User.find(filter)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await User.countDocuments(filter)
+    const { results: users, pagination } = await paginate(User, {
+      filter,
+      sort: NEWEST_FIRST,
+      limit: parseInt(req.query.limit) || 20,
+      params: req.query,
+      build: (query) => query.select('-password')
+    })
 
     res.json({
       users,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total
-      }
+      pagination
     })
 
   } catch (error) {
-    console.error('Get admin users error:', error)
-    res.status(500).json({ message: 'Server error while fetching users for admin' })
+    listError(res, error, 'Get admin users error:', 'Server error while fetching users for admin')
   }
 })
 
@@ -301,6 +312,10 @@ router.put('/users/:id/toggle-status', adminAuth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' })
     }
 
+    if (user.deletedAt) {
+      return res.status(400).json({ message: 'Cannot change the status of a deleted account' })
+    }
+
     // Don't allow deactivating other admins
     if (user.role === 'admin' && user._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Cannot deactivate other admin accounts' })
@@ -310,13 +325,19 @@ router.put('/users/:id/toggle-status', adminAuth, async (req, res) => {
     await user.save()
 
     // Send notification to user
-    req.io.to(user._id.toString()).emit('account-status-changed', {
+    await Notification.send(req.io, user._id, 'account-status-changed', {
       isActive: user.isActive,
       message: user.isActive 
         ? 'Your account has been reactivated' 
         : 'Your account has been deactivated'
     })
 
+    // Deactivated users lose their sessions and live connections along with API access
+    if (!user.isActive) {
+      await Session.revokeAll(user._id, 'account-deactivated')
+      req.io.in(user._id.toString()).disconnectSockets()
+    }
+
     res.json({
       message: `User account ${user.isActive ? 'activated' : 'deactivated'} successfully`,
       user: user.toJSON()
@@ -328,14 +349,62 @@ router.put('/users/:id/toggle-status', adminAuth, async (req, res) => {
   }
 })
 
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Clear a login lockout and failed attempt count
+// @access  Private (Admin only)
+router.put('/users/:id/unlock', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    const wasLocked = user.isLocked()
+    await user.resetLoginAttempts()
+
+    res.json({
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked',
+      user: { _id: user._id, username: user.username, lockedUntil: null }
+    })
+
+  } catch (error) {
+    console.error('Unlock user error:', error)
+    res.status(500).json({ message: 'Server error while unlocking user' })
+  }
+})
+
+// @route   POST /api/admin/users/:id/reconcile-points
+// @desc    Recalculate a user's point balance from the ledger
+// @access  Private (Admin only)
+router.post('/users/:id/reconcile-points', adminAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('points')
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' })
+    }
+
+    const previousBalance = user.points
+    const balance = await PointTransaction.reconcileBalance(user._id)
+
+    res.json({
+      message: 'Point balance reconciled successfully',
+      previousBalance,
+      balance
+    })
+
+  } catch (error) {
+    console.error('Reconcile points error:', error)
+    res.status(500).json({ message: 'Server error while reconciling points' })
+  }
+})
+
 // @route   GET /api/admin/swaps
 // @desc    Get all swaps for admin monitoring
 // @access  Private (Admin only)
 router.get('/swaps', adminAuth, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 20
-    const skip = (page - 1) * limit
     const status = req.query.status
 
     let filter = {}
@@ -343,29 +412,25 @@ router.get('/swaps', adminAuth, async (req, res) => {
       filter.status = status
     }
 
-    const swaps = await Swap.find(filter)
-      .populate('requester', 'username firstName lastName email')
-      .populate('owner', 'username firstName lastName email')
-      .populate('requestedItem', 'title images pointValue')
-      .populate('offeredItem', 'title images pointValue')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await Swap.countDocuments(filter)
+    const { results: swaps, pagination } = await paginate(Swap, {
+      filter,
+      sort: NEWEST_FIRST,
+      limit: parseInt(req.query.limit) || 20,
+      params: req.query,
+      build: (query) => query
+        .populate('requester', 'username firstName lastName email')
+        .populate('owner', 'username firstName lastName email')
+        .populate('requestedItems', 'title images pointValue')
+        .populate('offeredItems', 'title images pointValue')
+    })
 
     res.json({
       swaps,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total
-      }
+      pagination
     })
 
   } catch (error) {
-    console.error('Get admin swaps error:', error)
-    res.status(500).json({ message: 'Server error while fetching swaps for admin' })
+    listError(res, error, 'Get admin swaps error:', 'Server error while fetching swaps for admin')
   }
 })
 
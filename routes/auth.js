@@ -1,14 +1,63 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const jwt = require("jsonwebtoken")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
+const PointTransaction = require("../models/PointTransaction")
+const Session = require("../models/Session")
+const UserToken = require("../models/UserToken")
 const { auth } = require("../middleware/auth")
+const { loginFailureLimiter } = require("../middleware/rateLimit")
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../utils/mailer")
+const totp = require("../utils/totp")
+const { toPoint } = require("../utils/geo")
 
 const router = express.Router()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" })
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60
+
+// Generate a short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS })
+}
+
+// Start a new device session and return its access and refresh tokens
+const issueTokens = async (user, req, { twoFactorVerified = false } = {}) => {
+  const { session, refreshToken } = await Session.start(user._id, req, { twoFactorVerified })
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  }
+}
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const TWO_FACTOR_CHALLENGE_TTL = "5m"
+
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: "2fa-challenge" }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL })
+}
+
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000
+
+// Issue a verification token and email it; failures are logged so they never block the caller
+const sendVerification = async (user) => {
+  try {
+    const token = await UserToken.issue(user._id, "email-verification", EMAIL_VERIFICATION_TTL_MS)
+    await sendVerificationEmail(user, token)
+  } catch (error) {
+    console.error("Send verification email error:", error)
+  }
+}
+
+// Disconnect live sockets that belong to revoked sessions
+const disconnectSessions = (req, userId, { except } = {}) => {
+  let target = req.io.in(userId.toString())
+  if (except) target = target.except(`session:${except}`)
+  target.disconnectSockets()
 }
 
 // @route   POST /api/auth/register
@@ -59,14 +108,22 @@ router.post(
         lastName,
       })
 
-      await user.save()
+      // Record the starting balance so the ledger always adds up to User.points
+      await mongoose.connection.transaction(async (session) => {
+        await user.save({ session })
+        await PointTransaction.create(
+          [{ user: user._id, delta: user.points, reason: "signup-bonus", balanceAfter: user.points }],
+          { session },
+        )
+      })
 
-      // Generate token
-      const token = generateToken(user._id)
+      await sendVerification(user)
+
+      const tokens = await issueTokens(user, req)
 
       res.status(201).json({
-        message: "User registered successfully",
-        token,
+        message: "User registered successfully. Check your email to verify your address",
+        ...tokens,
         user: user.toJSON(),
       })
     } catch (error) {
@@ -81,6 +138,7 @@ router.post(
 // @access  Public
 router.post(
   "/login",
+  loginFailureLimiter,
   [
     body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email"),
     body("password").notEmpty().withMessage("Password is required"),
@@ -108,18 +166,53 @@ router.post(
         return res.status(400).json({ message: "Account is deactivated" })
       }
 
+      // Refuse attempts while the account is locked or cooling down after failures
+      if (user.isLocked()) {
+        return res.status(423).json({
+          message: "Account is temporarily locked after too many failed login attempts",
+          lockedUntil: user.lockedUntil,
+        })
+      }
+
+      const delay = user.getLoginDelay()
+      if (delay > 0) {
+        const retryAfter = Math.ceil(delay / 1000)
+        res.set("Retry-After", String(retryAfter))
+        return res.status(429).json({
+          message: `Too many failed attempts. Try again in ${retryAfter} seconds`,
+          retryAfter,
+        })
+      }
+
       // Check password
       const isMatch = await user.comparePassword(password)
       if (!isMatch) {
+        const { locked, lockedUntil } = await user.registerFailedLogin()
+        if (locked) {
+          return res.status(423).json({
+            message: "Account is temporarily locked after too many failed login attempts",
+            lockedUntil,
+          })
+        }
         return res.status(400).json({ message: "Invalid credentials" })
       }
 
-      // Generate token
-      const token = generateToken(user._id)
+      await user.resetLoginAttempts()
+
+      // Second step required: the client posts a code to /login/2fa with this challenge
+      if (user.twoFactor.enabled) {
+        return res.json({
+          message: "Two-factor authentication required",
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        })
+      }
+
+      const tokens = await issueTokens(user, req)
 
       res.json({
         message: "Login successful",
-        token,
+        ...tokens,
         user: user.toJSON(),
       })
     } catch (error) {
@@ -129,6 +222,507 @@ router.post(
   },
 )
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @access  Public
+router.post(
+  "/login/2fa",
+  loginFailureLimiter,
+  [
+    body("challengeToken").isString().notEmpty().withMessage("Challenge token is required"),
+    body("code").isString().trim().notEmpty().withMessage("Authentication code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      let decoded
+      try {
+        decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET)
+      } catch (error) {
+        return res.status(401).json({ message: "Login challenge has expired, please log in again" })
+      }
+
+      if (decoded.purpose !== "2fa-challenge") {
+        return res.status(401).json({ message: "Login challenge is not valid" })
+      }
+
+      const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS)
+      if (!user || !user.isActive) {
+        return res.status(401).json({ message: "Login challenge is not valid" })
+      }
+
+      if (user.isLocked()) {
+        return res.status(423).json({
+          message: "Account is temporarily locked after too many failed login attempts",
+          lockedUntil: user.lockedUntil,
+        })
+      }
+
+      const method = await user.verifyTwoFactor(req.body.code)
+      if (!method) {
+        const { locked, lockedUntil } = await user.registerFailedLogin()
+        if (locked) {
+          return res.status(423).json({
+            message: "Account is temporarily locked after too many failed login attempts",
+            lockedUntil,
+          })
+        }
+        return res.status(400).json({ message: "Invalid authentication code" })
+      }
+
+      await user.resetLoginAttempts()
+      const tokens = await issueTokens(user, req, { twoFactorVerified: true })
+
+      res.json({
+        message: "Login successful",
+        ...tokens,
+        user: user.toJSON(),
+        ...(method === "recovery" && {
+          recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1,
+        }),
+      })
+    } catch (error) {
+      console.error("Two-factor login error:", error)
+      res.status(500).json({ message: "Server error during login" })
+    }
+  },
+)
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and return the authenticator secret
+// @access  Private
+router.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+    }
+
+    const secret = totp.generateSecret()
+    await User.findByIdAndUpdate(req.user._id, { $set: { "twoFactor.pendingSecret": secret } })
+
+    res.json({
+      message: "Scan the code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl: totp.buildOtpAuthUrl(secret, req.user.email),
+    })
+  } catch (error) {
+    console.error("Two-factor setup error:", error)
+    res.status(500).json({ message: "Server error during two-factor setup" })
+  }
+})
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private
+router.post(
+  "/2fa/verify",
+  auth,
+  [body("code").isString().trim().notEmpty().withMessage("Authentication code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS)
+
+      if (user.twoFactor.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is already enabled" })
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({ message: "Start two-factor setup first" })
+      }
+
+      const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code)
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid authentication code" })
+      }
+
+      user.twoFactor.enabled = true
+      user.twoFactor.enabledAt = new Date()
+      user.twoFactor.secret = user.twoFactor.pendingSecret
+      user.twoFactor.pendingSecret = undefined
+      user.twoFactor.lastUsedStep = step
+      const recoveryCodes = user.generateRecoveryCodes()
+      await user.save()
+
+      // This device just proved possession of the authenticator; sign out the others
+      await Session.updateOne({ _id: req.sessionId }, { $set: { twoFactorVerified: true } })
+      await Session.revokeAll(user._id, "two-factor-enabled", req.sessionId)
+      disconnectSessions(req, user._id, { except: req.sessionId })
+
+      res.json({
+        message: "Two-factor authentication enabled. Store these recovery codes somewhere safe",
+        recoveryCodes,
+      })
+    } catch (error) {
+      console.error("Two-factor verify error:", error)
+      res.status(500).json({ message: "Server error during two-factor verification" })
+    }
+  },
+)
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post(
+  "/2fa/disable",
+  auth,
+  loginFailureLimiter,
+  [
+    body("password").notEmpty().withMessage("Password is required"),
+    body("code").isString().trim().notEmpty().withMessage("Authentication code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS)
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is not enabled" })
+      }
+
+      if (user.role === "admin") {
+        return res.status(403).json({ message: "Two-factor authentication is mandatory for admin accounts" })
+      }
+
+      // Same lockout as login, so the code can't be guessed from a stolen session
+      if (user.isLocked()) {
+        return res.status(423).json({
+          message: "Account is temporarily locked after too many failed login attempts",
+          lockedUntil: user.lockedUntil,
+        })
+      }
+
+      const delay = user.getLoginDelay()
+      if (delay > 0) {
+        const retryAfter = Math.ceil(delay / 1000)
+        res.set("Retry-After", String(retryAfter))
+        return res.status(429).json({
+          message: `Too many failed attempts. Try again in ${retryAfter} seconds`,
+          retryAfter,
+        })
+      }
+
+      const isMatch = await user.comparePassword(req.body.password)
+      const codeValid = isMatch && (await user.verifyTwoFactor(req.body.code))
+      if (!codeValid) {
+        const { locked, lockedUntil } = await user.registerFailedLogin()
+        if (locked) {
+          return res.status(423).json({
+            message: "Account is temporarily locked after too many failed login attempts",
+            lockedUntil,
+          })
+        }
+        return res.status(400).json({ message: isMatch ? "Invalid authentication code" : "Password is incorrect" })
+      }
+
+      await user.resetLoginAttempts()
+      await User.findByIdAndUpdate(user._id, {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.enabledAt": 1,
+          "twoFactor.secret": 1,
+          "twoFactor.pendingSecret": 1,
+          "twoFactor.recoveryCodes": 1,
+          "twoFactor.lastUsedStep": 1,
+        },
+      })
+
+      res.json({ message: "Two-factor authentication disabled" })
+    } catch (error) {
+      console.error("Two-factor disable error:", error)
+      res.status(500).json({ message: "Server error while disabling two-factor authentication" })
+    }
+  },
+)
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post(
+  "/refresh",
+  [body("refreshToken").isString().notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const result = await Session.refresh(req.body.refreshToken)
+      if (!result) {
+        return res.status(401).json({ message: "Refresh token is not valid" })
+      }
+
+      const { session, refreshToken } = result
+      const user = await User.findById(session.user)
+
+      if (!user || !user.isActive) {
+        await session.revoke("account-deactivated")
+        return res.status(401).json({ message: "Account is deactivated" })
+      }
+
+      res.json({
+        token: generateToken(user._id, session._id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      })
+    } catch (error) {
+      console.error("Token refresh error:", error)
+      res.status(500).json({ message: "Server error during token refresh" })
+    }
+  },
+)
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } },
+    )
+    req.io.in(`session:${req.sessionId}`).disconnectSockets()
+
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({ message: "Server error during logout" })
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions (signed-in devices)
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 })
+      .lean()
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId.toString(),
+      })),
+    })
+  } catch (error) {
+    console.error("Get sessions error:", error)
+    res.status(500).json({ message: "Server error while fetching sessions" })
+  }
+})
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device
+// @access  Private
+router.delete("/sessions", auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user._id, "revoked-by-user", req.sessionId)
+    disconnectSessions(req, req.user._id, { except: req.sessionId })
+
+    res.json({
+      message: "Other sessions revoked successfully",
+      revoked: result.modifiedCount,
+    })
+  } catch (error) {
+    console.error("Revoke sessions error:", error)
+    res.status(500).json({ message: "Server error while revoking sessions" })
+  }
+})
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a single device
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" })
+    }
+
+    await session.revoke("revoked-by-user")
+    req.io.in(`session:${session._id}`).disconnectSockets()
+
+    res.json({ message: "Session revoked successfully" })
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Session not found" })
+    }
+    res.status(500).json({ message: "Server error while revoking session" })
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public
+router.post(
+  "/verify-email",
+  [body("token").isString().notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const userToken = await UserToken.consume(req.body.token, "email-verification")
+      if (!userToken) {
+        return res.status(400).json({ message: "Verification link is invalid or has expired" })
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userToken.user,
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+        { new: true },
+      )
+
+      if (!user) {
+        return res.status(400).json({ message: "Verification link is invalid or has expired" })
+      }
+
+      res.json({
+        message: "Email verified successfully",
+        user: user.toJSON(),
+      })
+    } catch (error) {
+      console.error("Verify email error:", error)
+      res.status(500).json({ message: "Server error during email verification" })
+    }
+  },
+)
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email
+// @access  Private
+router.post("/verify-email/resend", auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" })
+    }
+
+    await sendVerification(req.user)
+
+    res.json({ message: "Verification email sent" })
+  } catch (error) {
+    console.error("Resend verification error:", error)
+    res.status(500).json({ message: "Server error while sending verification email" })
+  }
+})
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail().withMessage("Please provide a valid email")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findOne({ email: req.body.email })
+
+      if (user && user.isActive) {
+        const token = await UserToken.issue(user._id, "password-reset", PASSWORD_RESET_TTL_MS)
+        await sendPasswordResetEmail(user, token)
+      }
+
+      // Same response whether or not the account exists, so emails can't be enumerated
+      res.json({ message: "If an account exists for that email, a reset link has been sent" })
+    } catch (error) {
+      console.error("Forgot password error:", error)
+      res.status(500).json({ message: "Server error while requesting password reset" })
+    }
+  },
+)
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post(
+  "/reset-password",
+  [
+    body("token").isString().notEmpty().withMessage("Reset token is required"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters long"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const userToken = await UserToken.consume(req.body.token, "password-reset")
+      if (!userToken) {
+        return res.status(400).json({ message: "Reset link is invalid or has expired" })
+      }
+
+      const user = await User.findById(userToken.user)
+      if (!user || !user.isActive) {
+        return res.status(400).json({ message: "Reset link is invalid or has expired" })
+      }
+
+      user.password = req.body.password
+      // Receiving the reset email proves the address works
+      if (!user.emailVerified) {
+        user.emailVerified = true
+        user.emailVerifiedAt = new Date()
+      }
+      await user.save()
+
+      await Session.revokeAll(user._id, "password-reset")
+      disconnectSessions(req, user._id)
+
+      res.json({ message: "Password reset successfully. Please log in with your new password" })
+    } catch (error) {
+      console.error("Reset password error:", error)
+      res.status(500).json({ message: "Server error during password reset" })
+    }
+  },
+)
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -154,6 +748,7 @@ router.put(
     body("location.city").optional().trim(),
     body("location.state").optional().trim(),
     body("location.country").optional().trim(),
+    body("location.zipCode").optional().trim(),
   ],
   async (req, res) => {
     try {
@@ -174,6 +769,13 @@ router.put(
         }
       })
 
+      // findByIdAndUpdate skips save hooks, so place the new location here
+      if (updates.location) {
+        const { city, state, country, zipCode } = updates.location
+        const point = toPoint({ city, state, country, zipCode })
+        updates.location = { city, state, country, zipCode, ...(point && { point }) }
+      }
+
       const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true })
 
       res.json({
@@ -222,7 +824,15 @@ router.post(
       user.password = newPassword
       await user.save()
 
-      res.json({ message: "Password changed successfully" })
+      // Sign out every device, including this one, and start a fresh session here
+      await Session.revokeAll(user._id, "password-changed")
+      disconnectSessions(req, user._id)
+      const tokens = await issueTokens(user, req, { twoFactorVerified: req.twoFactorVerified })
+
+      res.json({
+        message: "Password changed successfully",
+        ...tokens,
+      })
     } catch (error) {
       console.error("Password change error:", error)
       res.status(500).json({ message: "Server error during password change" })
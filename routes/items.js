@@ -1,11 +1,128 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const { body, validationResult, query } = require("express-validator")
 const Item = require("../models/Item")
 const User = require("../models/User")
+const Swap = require("../models/Swap")
+const Notification = require("../models/Notification")
+const Wishlist = require("../models/Wishlist")
 const { auth } = require("../middleware/auth")
+const { paginate } = require("../utils/pagination")
+const { toList, escapeRegex } = require("../utils/queryParams")
+const { searchItems, suggest } = require("../utils/search")
+const { recommendItems } = require("../utils/recommendations")
+const { DEFAULT_RADIUS_KM, parseLatLng, withinRadius, distanceKm } = require("../utils/geo")
+const { MAX_IMAGES_PER_ITEM, upload, handleUpload, processItemImage, removeItemImage } = require("../utils/images")
 
 const router = express.Router()
 
+const CATEGORIES = Item.schema.path("category").enumValues
+const TYPES = Item.schema.path("type").enumValues
+const SIZES = Item.schema.path("size").enumValues
+const CONDITIONS = Item.schema.path("condition").enumValues
+const SWAP_STATUSES = Swap.schema.path("status").enumValues
+
+// Sort options, each keyed on a single stored field; only newest can be paged with cursors
+// because the others change while people scroll (see utils/pagination.js)
+const ITEM_SORTS = {
+  newest: { field: "createdAt", order: -1 },
+  "points-low": { field: "pointValue", order: 1 },
+  "points-high": { field: "pointValue", order: -1 },
+  popular: { field: "views", order: -1 },
+}
+
+// Public owner fields on listings; only the coarse part of their location is shown
+const OWNER_FIELDS = "username firstName lastName avatar location.city location.state"
+
+const MAX_RADIUS_KM = 500
+
+// Lower bounds of the point buckets reported by the facets endpoint
+const POINT_BUCKETS = [1, 25, 50, 100, 200, 501]
+
+const listOf = (field, allowed) =>
+  query(field)
+    .optional()
+    .custom((value) => toList(value).every((entry) => allowed.includes(entry)))
+    .withMessage(`Invalid ${field}`)
+
+const itemFilterValidators = [
+  listOf("category", CATEGORIES),
+  listOf("type", TYPES),
+  listOf("size", SIZES),
+  listOf("condition", CONDITIONS),
+  query("brand").optional(),
+  query("color").optional(),
+  query("tags").optional(),
+  query("minPoints").optional().isInt({ min: 1 }),
+  query("maxPoints").optional().isInt({ min: 1 }),
+  query("search").optional().isLength({ min: 1, max: 100 }),
+  query("near")
+    .optional()
+    .custom((value) => parseLatLng(value) !== null)
+    .withMessage("near must be given as lat,lng"),
+  query("radiusKm")
+    .optional()
+    .isFloat({ min: 0.1, max: MAX_RADIUS_KM })
+    .withMessage(`radiusKm must be between 0.1 and ${MAX_RADIUS_KM}`),
+]
+
+// Filters that always apply to browsing
+const buildBaseFilter = (params) => {
+  const filter = {
+    status: "approved",
+    availability: "available",
+  }
+
+  // Text search
+  if (params.search) {
+    filter.$text = { $search: params.search }
+  }
+
+  // Only items placed within the radius; items without a known location are left out
+  if (params.near) {
+    const radiusKm = Number.parseFloat(params.radiusKm) || DEFAULT_RADIUS_KM
+    filter["location.point"] = withinRadius(parseLatLng(params.near), radiusKm)
+  }
+
+  return filter
+}
+
+// User-selected filters, one clause per field so facets can leave out their own field.
+// Values within a field are OR'ed; fields are AND'ed.
+const buildFilterClauses = (params) => {
+  const clauses = {}
+
+  ;["category", "type", "size", "condition"].forEach((field) => {
+    const values = toList(params[field])
+    if (values.length) clauses[field] = { $in: values }
+  })
+
+  // Free-text fields match case-insensitively
+  ;["brand", "color", "tags"].forEach((field) => {
+    const values = toList(params[field])
+    if (values.length) clauses[field] = { $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")) }
+  })
+
+  if (params.minPoints || params.maxPoints) {
+    clauses.pointValue = {}
+    if (params.minPoints) clauses.pointValue.$gte = Number.parseInt(params.minPoints)
+    if (params.maxPoints) clauses.pointValue.$lte = Number.parseInt(params.maxPoints)
+  }
+
+  return clauses
+}
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req)
+  if (errors.isEmpty()) return false
+
+  res.status(400).json({
+    message: "Validation failed",
+    errors: errors.array(),
+  })
+  return true
+}
+
 // @route   GET /api/items
 // @desc    Get all approved items with filtering and pagination
 // @access  Public
@@ -14,100 +131,247 @@ router.get(
   [
     query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
     query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
-    query("category")
+    query("cursor").optional().isString(),
+    query("includeTotal").optional().isIn(["true", "false"]),
+    ...itemFilterValidators,
+    query("sort")
       .optional()
-      .isIn([
-        "tops",
-        "bottoms",
-        "dresses",
-        "outerwear",
-        "shoes",
-        "accessories",
-        "activewear",
-        "formal",
-        "casual",
-        "vintage",
-      ]),
-    query("size").optional().isIn(["XS", "S", "M", "L", "XL", "XXL", "6", "7", "8", "9", "10", "11", "12", "One Size"]),
-    query("condition").optional().isIn(["new", "like-new", "good", "fair", "worn"]),
-    query("minPoints").optional().isInt({ min: 1 }),
-    query("maxPoints").optional().isInt({ min: 1 }),
-    query("search").optional().isLength({ min: 1, max: 100 }),
+      .custom((value, { req }) => value !== "distance" || (req.query.near && !req.query.search))
+      .withMessage("sort=distance requires near and cannot be combined with search"),
   ],
   async (req, res) => {
     try {
-      const errors = validationResult(req)
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          message: "Validation failed",
-          errors: errors.array(),
-        })
-      }
+      if (validationFailed(req, res)) return
 
-      const page = Number.parseInt(req.query.page) || 1
       const limit = Number.parseInt(req.query.limit) || 12
-      const skip = (page - 1) * limit
 
       // Build filter object
       const filter = {
-        status: "approved",
-        availability: "available",
-      }
-
-      if (req.query.category) filter.category = req.query.category
-      if (req.query.size) filter.size = req.query.size
-      if (req.query.condition) filter.condition = req.query.condition
-      if (req.query.minPoints || req.query.maxPoints) {
-        filter.pointValue = {}
-        if (req.query.minPoints) filter.pointValue.$gte = Number.parseInt(req.query.minPoints)
-        if (req.query.maxPoints) filter.pointValue.$lte = Number.parseInt(req.query.maxPoints)
-      }
-
-      // Text search
-      if (req.query.search) {
-        filter.$text = { $search: req.query.search }
+        ...buildBaseFilter(req.query),
+        ...buildFilterClauses(req.query),
       }
 
-      // Sort options
-      let sort = { createdAt: -1 } // Default: newest first
-      if (req.query.sort === "points-low") sort = { pointValue: 1 }
-      if (req.query.sort === "points-high") sort = { pointValue: -1 }
-      if (req.query.sort === "popular") sort = { views: -1, likes: -1 }
-
-      const items = await Item.find(filter)
-        .populate("owner", "username firstName lastName avatar location")
-        .sort(sort)
-        .skip(skip)
-        .limit(limit)
-        .lean()
-
-      const total = await Item.countDocuments(filter)
-      const totalPages = Math.ceil(total / limit)
+      let items
+      let pagination
+      let searchMode
+      if (req.query.search && (!req.query.sort || req.query.sort === "relevance")) {
+        // Relevance ranking is computed per query, so it pages by offset like distance
+        const page = Number.parseInt(req.query.page) || 1
+        const { $text, ...searchFilter } = filter
+        const result = await searchItems(Item, {
+          filter: searchFilter,
+          search: req.query.search,
+          skip: (page - 1) * limit,
+          limit,
+        })
+        items = await Item.populate(result.items, { path: "owner", select: OWNER_FIELDS })
+        searchMode = result.mode
 
-      res.json({
-        items,
-        pagination: {
+        const totalPages = Math.ceil(result.total / limit)
+        pagination = {
+          currentPage: page,
+          totalPages,
+          totalItems: result.total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        }
+      } else if (req.query.sort === "distance") {
+        // Distances are computed per query, so there is no stored key to build cursors on;
+        // this sort pages by offset. $geoNear takes the radius itself instead of $geoWithin.
+        const page = Number.parseInt(req.query.page) || 1
+        const { "location.point": withinFilter, ...geoNearQuery } = filter
+        const [results, total] = await Promise.all([
+          Item.aggregate([
+            {
+              $geoNear: {
+                near: { type: "Point", coordinates: parseLatLng(req.query.near) },
+                distanceField: "distance",
+                maxDistance: (Number.parseFloat(req.query.radiusKm) || DEFAULT_RADIUS_KM) * 1000,
+                query: geoNearQuery,
+                spherical: true,
+              },
+            },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ]),
+          Item.countDocuments(filter),
+        ])
+        items = await Item.populate(results, { path: "owner", select: OWNER_FIELDS })
+
+        const totalPages = Math.ceil(total / limit)
+        pagination = {
           currentPage: page,
           totalPages,
           totalItems: total,
           hasNext: page < totalPages,
           hasPrev: page > 1,
-        },
+        }
+      } else {
+        ;({ results: items, pagination } = await paginate(Item, {
+          filter,
+          sort: ITEM_SORTS[req.query.sort] || ITEM_SORTS.newest,
+          limit,
+          params: req.query,
+          build: (itemQuery) => itemQuery.populate("owner", OWNER_FIELDS).lean(),
+        }))
+      }
+
+      if (req.query.near) {
+        const origin = parseLatLng(req.query.near)
+        items.forEach((item) => {
+          delete item.distance
+          item.distanceKm = Math.round(distanceKm(origin, item.location.point.coordinates) * 10) / 10
+        })
+      }
+
+      res.json({
+        items,
+        pagination,
+        ...(searchMode && { searchMode }),
       })
     } catch (error) {
+      if (error.name === "CursorError") {
+        return res.status(400).json({ message: error.message })
+      }
       console.error("Get items error:", error)
       res.status(500).json({ message: "Server error while fetching items" })
     }
   },
 )
 
+// @route   GET /api/items/facets
+// @desc    Get result counts per filter value for the current browse query
+// @access  Public
+router.get("/facets", itemFilterValidators, async (req, res) => {
+  try {
+    if (validationFailed(req, res)) return
+
+    const clauses = buildFilterClauses(req.query)
+
+    // Each facet applies every selected filter except its own, so alternatives keep their counts
+    const otherClauses = (field) => {
+      const { [field]: omitted, ...rest } = clauses
+      return rest
+    }
+
+    const countBy = (field, limit) => {
+      const stages = [
+        { $match: otherClauses(field) },
+        { $match: { [field]: { $nin: [null, ""] } } },
+        { $group: { _id: field === "brand" || field === "color" ? { $toLower: `$${field}` } : `$${field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ]
+      if (limit) stages.push({ $limit: limit })
+      stages.push({ $project: { _id: 0, value: "$_id", count: 1 } })
+      return stages
+    }
+
+    const [result] = await Item.aggregate([
+      { $match: buildBaseFilter(req.query) },
+      {
+        $facet: {
+          category: countBy("category"),
+          type: countBy("type"),
+          size: countBy("size"),
+          condition: countBy("condition"),
+          brand: countBy("brand", 20),
+          color: countBy("color", 20),
+          points: [
+            { $match: otherClauses("pointValue") },
+            {
+              $bucket: {
+                groupBy: "$pointValue",
+                boundaries: POINT_BUCKETS,
+                default: "other",
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          total: [{ $match: clauses }, { $count: "count" }],
+        },
+      },
+    ])
+
+    const points = result.points
+      .filter((bucket) => bucket._id !== "other")
+      .map((bucket) => {
+        const index = POINT_BUCKETS.indexOf(bucket._id)
+        return { min: bucket._id, max: POINT_BUCKETS[index + 1] - 1, count: bucket.count }
+      })
+
+    res.json({
+      total: result.total.length ? result.total[0].count : 0,
+      facets: {
+        category: result.category,
+        type: result.type,
+        size: result.size,
+        condition: result.condition,
+        brand: result.brand,
+        color: result.color,
+        points,
+      },
+    })
+  } catch (error) {
+    console.error("Get item facets error:", error)
+    res.status(500).json({ message: "Server error while fetching item facets" })
+  }
+})
+
+// @route   GET /api/items/suggest
+// @desc    Autocomplete titles, brands and tags; tolerates typos and partial words
+// @access  Public
+router.get(
+  "/suggest",
+  [
+    query("q").trim().isLength({ min: 2, max: 100 }).withMessage("q must be between 2 and 100 characters"),
+    query("limit").optional().isInt({ min: 1, max: 10 }).withMessage("Limit must be between 1 and 10"),
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return
+
+      const suggestions = await suggest(Item, {
+        filter: { status: "approved", availability: "available" },
+        query: req.query.q,
+        limit: Number.parseInt(req.query.limit) || 5,
+      })
+
+      res.json({ suggestions })
+    } catch (error) {
+      console.error("Get item suggestions error:", error)
+      res.status(500).json({ message: "Server error while fetching suggestions" })
+    }
+  },
+)
+
+// @route   GET /api/items/recommended
+// @desc    Get items picked for the current user, each with an explanation
+// @access  Private
+router.get(
+  "/recommended",
+  auth,
+  [query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50")],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return
+
+      const items = await recommendItems(req.user, { limit: Number.parseInt(req.query.limit) || 12 })
+
+      res.json({ items })
+    } catch (error) {
+      console.error("Get recommended items error:", error)
+      res.status(500).json({ message: "Server error while fetching recommendations" })
+    }
+  },
+)
+
 // @route   GET /api/items/:id
 // @desc    Get single item by ID
 // @access  Public
 router.get("/:id", async (req, res) => {
   try {
     const item = await Item.findById(req.params.id)
-      .populate("owner", "username firstName lastName avatar location stats")
+      .populate("owner", `${OWNER_FIELDS} stats reputation`)
       .populate("likes", "username")
 
     if (!item) {
@@ -127,6 +391,67 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// @route   GET /api/items/:id/swaps
+// @desc    Get the swap offers for an item side by side (pending ones by default)
+// @access  Private (Item owner only)
+router.get(
+  "/:id/swaps",
+  auth,
+  [
+    query("status")
+      .optional()
+      .custom((value) => toList(value).every((status) => SWAP_STATUSES.includes(status)))
+      .withMessage("Invalid swap status"),
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return
+
+      const item = await Item.findById(req.params.id).select("title pointValue availability owner")
+
+      if (!item) {
+        return res.status(404).json({ message: "Item not found" })
+      }
+
+      if (item.owner.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Not authorized to view offers for this item" })
+      }
+
+      const statuses = req.query.status ? toList(req.query.status) : ["pending"]
+      const swaps = await Swap.find({ requestedItems: item._id, status: { $in: statuses } })
+        .select("-conversation")
+        .populate("requester", "username firstName lastName avatar reputation")
+        .populate("requestedItems", "title images pointValue")
+        .populate("offeredItems", "title images pointValue condition size brand")
+        .sort({ createdAt: -1 })
+
+      // Comparable summary of each offer: the point value of offered items plus any points
+      const offers = swaps.map((swap) => {
+        const itemsValue = swap.offeredItems.reduce((total, offered) => total + (offered.pointValue || 0), 0)
+        const latestProposer = swap.getLatestProposer()
+
+        return {
+          ...swap.toObject(),
+          offerValue: itemsValue + (swap.pointsOffered || 0),
+          awaitingResponseFrom: swap.status === "pending" ? (latestProposer === "owner" ? "requester" : "owner") : null,
+          waitlisted: Boolean(swap.waitlistedBehind),
+        }
+      })
+
+      res.json({
+        item: { _id: item._id, title: item.title, pointValue: item.pointValue, availability: item.availability },
+        swaps: offers,
+      })
+    } catch (error) {
+      console.error("Get item swaps error:", error)
+      if (error.name === "CastError") {
+        return res.status(404).json({ message: "Item not found" })
+      }
+      res.status(500).json({ message: "Server error while fetching swap offers" })
+    }
+  },
+)
+
 // @route   POST /api/items
 // @desc    Create new item
 // @access  Private
@@ -209,8 +534,8 @@ router.post(
       await item.populate("owner", "username firstName lastName avatar")
 
       // Emit real-time notification to admins
-      req.io.emit("new-item-pending", {
-        item: item.toObject(),
+      await Notification.sendToAdmins(req.io, "new-item-pending", {
+        item: { _id: item._id, title: item.title, owner: { _id: item.owner._id, username: item.owner.username } },
         message: `New item "${item.title}" submitted for review`,
       })
 
@@ -302,15 +627,20 @@ router.put(
         updates.status = "pending"
       }
 
-      const updatedItem = await Item.findByIdAndUpdate(
-        req.params.id,
-        { $set: updates },
-        { new: true, runValidators: true },
-      ).populate("owner", "username firstName lastName avatar")
+      // Saved through the document so search terms and location stay in step
+      const previousPointValue = item.pointValue
+      item.set(updates)
+      await item.save()
+      await item.populate("owner", "username firstName lastName avatar")
+
+      // Watchers only hear about drops on listings that are still live
+      if (item.status === "approved" && item.pointValue < previousPointValue) {
+        await Wishlist.notifyPriceDrop(req.io, item, previousPointValue)
+      }
 
       res.json({
         message: "Item updated successfully",
-        item: updatedItem,
+        item,
       })
     } catch (error) {
       console.error("Update item error:", error)
@@ -340,7 +670,37 @@ router.delete("/:id", auth, async (req, res) => {
       return res.status(400).json({ message: "Cannot delete item that is in a pending swap" })
     }
 
-    await Item.findByIdAndDelete(req.params.id)
+    // Pending swaps involving the item can't go ahead any more
+    const pendingSwaps = await Swap.find({
+      status: "pending",
+      $or: [{ requestedItems: item._id }, { offeredItems: item._id }],
+    }).populate("requestedItems", "title")
+
+    await mongoose.connection.transaction(async (session) => {
+      // Cancelling through save() releases escrowed points
+      for (const swap of pendingSwaps) {
+        swap.status = "cancelled"
+        swap.cancelledAt = new Date()
+        swap.cancelReason = "An item in this swap was deleted by its owner"
+        await swap.save({ session })
+      }
+
+      await Item.deleteOne({ _id: item._id }, { session })
+      await Wishlist.deleteMany({ item: item._id }, { session })
+    })
+
+    // Stored files go once nothing references them; a failed removal only leaves an orphaned file
+    await Promise.allSettled(item.images.map(removeItemImage))
+
+    await Promise.all(
+      pendingSwaps.map((swap) =>
+        Notification.send(req.io, swap.getOtherParticipant(req.user._id), "swap-cancelled", {
+          swapId: swap._id,
+          status: swap.status,
+          message: `The swap for ${swap.describeRequestedItems()} was cancelled because "${item.title}" was deleted`,
+        }),
+      ),
+    )
 
     res.json({ message: "Item deleted successfully" })
   } catch (error) {
@@ -384,38 +744,188 @@ router.post("/:id/like", auth, async (req, res) => {
   }
 })
 
+// Load the item and check the current user owns it, before anything expensive such as
+// buffering an upload happens. The item is available as req.item.
+const loadOwnItem = async (req, res, next) => {
+  try {
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    if (item.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to update this item" })
+    }
+
+    req.item = item
+    next()
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Item not found" })
+    }
+    next(error)
+  }
+}
+
+const uploadImages = handleUpload(upload.array("images", MAX_IMAGES_PER_ITEM))
+
+// @route   POST /api/items/:id/images
+// @desc    Upload images for an item (multipart field "images")
+// @access  Private (Owner only)
+router.post("/:id/images", auth, loadOwnItem, uploadImages, async (req, res) => {
+  try {
+    const item = req.item
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "No images uploaded" })
+    }
+
+    if (item.images.length + req.files.length > MAX_IMAGES_PER_ITEM) {
+      return res.status(400).json({ message: `An item can have at most ${MAX_IMAGES_PER_ITEM} images` })
+    }
+
+    const alts = [].concat(req.body.alt || [])
+    const images = []
+    try {
+      for (const [index, file] of req.files.entries()) {
+        const image = await processItemImage(file, item._id)
+        images.push({ ...image, alt: alts[index] || item.title })
+      }
+    } catch (error) {
+      // Don't leave orphaned files behind when one upload in the batch fails
+      await Promise.allSettled(images.map(removeItemImage))
+      if (error.message && error.message.includes("unsupported image format")) {
+        return res.status(400).json({ message: "One of the uploaded files is not a valid image" })
+      }
+      throw error
+    }
+
+    item.images.push(...images)
+    await item.save()
+
+    res.status(201).json({
+      message: "Images uploaded successfully",
+      images: item.images,
+    })
+  } catch (error) {
+    console.error("Upload item images error:", error)
+    res.status(500).json({ message: "Server error while uploading images" })
+  }
+})
+
+// @route   PUT /api/items/:id/images/order
+// @desc    Reorder an item's images; the first image is used as the cover
+// @access  Private (Owner only)
+router.put(
+  "/:id/images/order",
+  auth,
+  [body("order").isArray({ min: 1 }).withMessage("Order must be a non-empty array of image IDs")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const item = await Item.findById(req.params.id)
+
+      if (!item) {
+        return res.status(404).json({ message: "Item not found" })
+      }
+
+      if (item.owner.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: "Not authorized to update this item" })
+      }
+
+      const { order } = req.body
+      const currentIds = item.images.map((image) => image._id.toString())
+      const isPermutation =
+        order.length === currentIds.length &&
+        new Set(order).size === order.length &&
+        order.every((id) => currentIds.includes(String(id)))
+
+      if (!isPermutation) {
+        return res.status(400).json({ message: "Order must list every image of the item exactly once" })
+      }
+
+      item.images = order.map((id) => item.images.id(id))
+      await item.save()
+
+      res.json({
+        message: "Images reordered successfully",
+        images: item.images,
+      })
+    } catch (error) {
+      console.error("Reorder item images error:", error)
+      res.status(500).json({ message: "Server error while reordering images" })
+    }
+  },
+)
+
+// @route   DELETE /api/items/:id/images/:imageId
+// @desc    Delete an image from an item
+// @access  Private (Owner only)
+router.delete("/:id/images/:imageId", auth, async (req, res) => {
+  try {
+    const item = await Item.findById(req.params.id)
+
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" })
+    }
+
+    if (item.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to update this item" })
+    }
+
+    const image = item.images.id(req.params.imageId)
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" })
+    }
+
+    item.images.pull(image._id)
+    await item.save()
+
+    // Stored files are removed after the item no longer references them
+    await removeItemImage(image)
+
+    res.json({
+      message: "Image deleted successfully",
+      images: item.images,
+    })
+  } catch (error) {
+    console.error("Delete item image error:", error)
+    res.status(500).json({ message: "Server error while deleting image" })
+  }
+})
+
 // @route   GET /api/items/user/:userId
 // @desc    Get items by user
 // @access  Public
 router.get("/user/:userId", async (req, res) => {
   try {
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 12
-    const skip = (page - 1) * limit
-
-    const items = await Item.find({
-      owner: req.params.userId,
-      status: "approved",
-    })
-      .populate("owner", "username firstName lastName avatar")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-
-    const total = await Item.countDocuments({
-      owner: req.params.userId,
-      status: "approved",
+    const { results: items, pagination } = await paginate(Item, {
+      filter: {
+        owner: req.params.userId,
+        status: "approved",
+      },
+      sort: ITEM_SORTS.newest,
+      limit: Number.parseInt(req.query.limit) || 12,
+      params: req.query,
+      build: (itemQuery) => itemQuery.populate("owner", "username firstName lastName avatar"),
     })
 
     res.json({
       items,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-      },
+      pagination,
     })
   } catch (error) {
+    if (error.name === "CursorError") {
+      return res.status(400).json({ message: error.message })
+    }
     console.error("Get user items error:", error)
     res.status(500).json({ message: "Server error while fetching user items" })
   }
@@ -0,0 +1,114 @@
+const express = require("express")
+const { query, validationResult } = require("express-validator")
+const Notification = require("../models/Notification")
+const { auth } = require("../middleware/auth")
+
+const router = express.Router()
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get(
+  "/",
+  auth,
+  [
+    query("unread").optional().isBoolean().withMessage("Unread must be true or false"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { user: req.user._id }
+      if (req.query.unread === "true") filter.read = false
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ user: req.user._id, read: false }),
+      ])
+
+      res.json({
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+        },
+      })
+    } catch (error) {
+      console.error("Get notifications error:", error)
+      res.status(500).json({ message: "Server error while fetching notifications" })
+    }
+  },
+)
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put("/read-all", auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true, readAt: new Date() } },
+    )
+
+    const unreadCount = await Notification.emitUnreadCount(req.io, req.user._id)
+
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount,
+    })
+  } catch (error) {
+    console.error("Mark all notifications read error:", error)
+    res.status(500).json({ message: "Server error while marking notifications as read" })
+  }
+})
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" })
+    }
+
+    if (!notification.read) {
+      notification.read = true
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    const unreadCount = await Notification.emitUnreadCount(req.io, req.user._id)
+
+    res.json({
+      message: "Notification marked as read",
+      notification,
+      unreadCount,
+    })
+  } catch (error) {
+    console.error("Mark notification read error:", error)
+    if (error.name === "CastError") {
+      return res.status(404).json({ message: "Notification not found" })
+    }
+    res.status(500).json({ message: "Server error while marking notification as read" })
+  }
+})
+
+module.exports = router
@@ -1,19 +1,31 @@
 const express = require('express')
-const { body, validationResult } = require('express-validator')
+const mongoose = require('mongoose')
+const { body, query, validationResult } = require('express-validator')
 const Swap = require('../models/Swap')
 const Item = require('../models/Item')
 const User = require('../models/User')
+const Notification = require('../models/Notification')
+const Wishlist = require('../models/Wishlist')
 const { auth } = require('../middleware/auth')
 
 const router = express.Router()
 
+// Item ids from a list field, or from the single-item field older clients send
+const itemIdsFrom = (list, single) => [...new Set([].concat(list || single || []).map(String))]
+
 // @route   POST /api/swaps
-// @desc    Create a new swap request
+// @desc    Create a swap request for one or more of an owner's items (direct swaps may add a points top-up)
 // @access  Private
 router.post('/', auth, [
   body('type').isIn(['direct-swap', 'point-redemption']).withMessage('Invalid swap type'),
-  body('requestedItem').isMongoId().withMessage('Invalid requested item ID'),
+  body('requestedItem').optional().isMongoId().withMessage('Invalid requested item ID'),
+  body('requestedItems').optional().isArray({ min: 1, max: Swap.MAX_BUNDLE_ITEMS })
+    .withMessage(`Between 1 and ${Swap.MAX_BUNDLE_ITEMS} requested items are allowed`),
+  body('requestedItems.*').isMongoId().withMessage('Invalid requested item ID'),
   body('offeredItem').optional().isMongoId().withMessage('Invalid offered item ID'),
+  body('offeredItems').optional().isArray({ min: 1, max: Swap.MAX_BUNDLE_ITEMS })
+    .withMessage(`Between 1 and ${Swap.MAX_BUNDLE_ITEMS} offered items are allowed`),
+  body('offeredItems.*').isMongoId().withMessage('Invalid offered item ID'),
   body('pointsOffered').optional().isInt({ min: 1 }).withMessage('Points offered must be a positive integer'),
   body('message').optional().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
 ], async (req, res) => {
@@ -26,39 +38,659 @@ router.post('/', auth, [
       })
     }
 
-    const { type, requestedItem, offeredItem, pointsOffered, message } = req.body
+    if (!req.user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address before requesting swaps' })
+    }
+
+    const { type, pointsOffered, message } = req.body
+    const requestedIds = itemIdsFrom(req.body.requestedItems, req.body.requestedItem)
+    const offeredIds = itemIdsFrom(req.body.offeredItems, req.body.offeredItem)
 
-    // Get the requested item
-    const requestedItemDoc = await Item.findById(requestedItem).populate('owner')
-    if (!requestedItemDoc) {
+    if (!requestedIds.length) {
+      return res.status(400).json({ message: 'At least one requested item is required' })
+    }
+
+    // Get the requested items
+    const requestedItemDocs = await Item.find({ _id: { $in: requestedIds } }).populate('owner')
+    if (requestedItemDocs.length !== requestedIds.length) {
       return res.status(404).json({ message: 'Requested item not found' })
     }
 
-    // Check if item is available
-    if (requestedItemDoc.availability !== 'available') {
+    // Check if items are available
+    if (requestedItemDocs.some((item) => item.availability !== 'available')) {
       return res.status(400).json({ message: 'Item is not available for swap' })
     }
 
+    // Every requested item must come from the same owner
+    const owner = requestedItemDocs[0].owner
+    if (requestedItemDocs.some((item) => item.owner._id.toString() !== owner._id.toString())) {
+      return res.status(400).json({ message: 'All requested items must belong to the same owner' })
+    }
+
     // Can't swap with yourself
-    if (requestedItemDoc.owner._id.toString() === req.user._id.toString()) {
+    if (owner._id.toString() === req.user._id.toString()) {
       return res.status(400).json({ message: 'Cannot swap with yourself' })
     }
 
     // Validate swap type requirements
     if (type === 'direct-swap') {
-      if (!offeredItem) {
+      if (!offeredIds.length) {
         return res.status(400).json({ message: 'Offered item is required for direct swap' })
       }
 
-      // Verify offered item exists and belongs to requester
-      const offeredItemDoc = await Item.findById(offeredItem)
-      if (!offeredItemDoc) {
+      // Verify offered items exist and belong to requester
+      const offeredItemDocs = await Item.find({ _id: { $in: offeredIds } })
+      if (offeredItemDocs.length !== offeredIds.length) {
         return res.status(404).json({ message: 'Offered item not found' })
       }
 
-      if (offeredItemDoc.owner.toString() !== req.user._id.toString()) {
+      if (offeredItemDocs.some((item) => item.owner.toString() !== req.user._id.toString())) {
         return res.status(403).json({ message: 'You can only offer your own items' })
       }
 
-      if (offeredItemDoc.availability !== 'available') {
+      if (offeredItemDocs.some((item) => item.availability !== 'available')) {
         return res.status(400).json({ message: 'Offered item is not available' })
+      }
+
+      if (requestedItemDocs.some((item) => !item.swapPreferences.acceptSwaps)) {
+        return res.status(400).json({ message: 'Owner does not accept direct swaps for this item' })
+      }
+
+      // A points top-up balances a bundle, so the owner must accept points too
+      if (pointsOffered && requestedItemDocs.some((item) => !item.swapPreferences.acceptPoints)) {
+        return res.status(400).json({ message: 'Owner does not accept points for this item' })
+      }
+    } else {
+      if (!pointsOffered) {
+        return res.status(400).json({ message: 'Points offered are required for point redemption' })
+      }
+
+      if (offeredIds.length) {
+        return res.status(400).json({ message: 'Point redemptions cannot include offered items' })
+      }
+
+      if (requestedItemDocs.some((item) => !item.swapPreferences.acceptPoints)) {
+        return res.status(400).json({ message: 'Owner does not accept points for this item' })
+      }
+    }
+
+    // Prevent duplicate open requests for the same item
+    const existingSwap = await Swap.findOne({
+      requester: req.user._id,
+      requestedItems: { $in: requestedIds },
+      status: { $in: ['pending', 'accepted'] }
+    })
+
+    if (existingSwap) {
+      return res.status(400).json({ message: 'You already have an active swap request for this item' })
+    }
+
+    const swap = new Swap({
+      type,
+      requester: req.user._id,
+      owner: owner._id,
+      requestedItems: requestedIds,
+      offeredItems: type === 'direct-swap' ? offeredIds : [],
+      pointsOffered: pointsOffered || undefined,
+      pointsEscrow: pointsOffered ? 'held' : undefined,
+      message
+    })
+
+    // Hold the offered points until the swap completes, is rejected or is cancelled
+    await mongoose.connection.transaction(async (session) => {
+      if (pointsOffered) {
+        await User.holdPoints(req.user._id, pointsOffered, session)
+      }
+      await swap.save({ session })
+    })
+    await swap.populate([
+      { path: 'requester', select: 'username firstName lastName avatar' },
+      { path: 'requestedItems', select: 'title images pointValue' },
+      { path: 'offeredItems', select: 'title images pointValue' }
+    ])
+
+    // Notify the item owner
+    const requestedItemDoc = requestedItemDocs.find((item) => item._id.toString() === requestedIds[0])
+    await Notification.send(req.io, owner._id, 'new-swap-request', {
+      swapId: swap._id,
+      requester: { _id: req.user._id, username: req.user.username },
+      requestedItem: { _id: requestedItemDoc._id, title: requestedItemDoc.title },
+      requestedItems: swap.requestedItems.map((item) => ({ _id: item._id, title: item.title })),
+      message: `${req.user.username} requested your item ${swap.describeRequestedItems()}`
+    })
+
+    res.status(201).json({
+      message: 'Swap request created successfully',
+      swap
+    })
+
+  } catch (error) {
+    console.error('Create swap error:', error)
+    if (error.name === 'InsufficientPointsError') {
+      return res.status(400).json({ message: 'You do not have enough available points for this request' })
+    }
+    res.status(500).json({ message: 'Server error while creating swap request' })
+  }
+})
+
+// Shared handler for moving a swap through its lifecycle
+const transitionSwap = (newStatus, { event, successMessage, notification, verify, applyChanges }) => {
+  return async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array()
+        })
+      }
+
+      const swap = await Swap.findById(req.params.id).populate('requestedItems', 'title')
+
+      if (!swap) {
+        return res.status(404).json({ message: 'Swap not found' })
+      }
+
+      if (!swap.isParticipant(req.user._id)) {
+        return res.status(403).json({ message: 'Not authorized to update this swap' })
+      }
+
+      if (!swap.canTransition(newStatus, req.user._id)) {
+        return res.status(400).json({
+          message: `Cannot mark a ${swap.status} swap as ${newStatus}`
+        })
+      }
+
+      const conflict = verify && verify(swap, req)
+      if (conflict) {
+        return res.status(409).json({ message: conflict })
+      }
+
+      const previousStatus = swap.status
+      swap.lockCurrentState()
+      swap.status = newStatus
+      if (applyChanges) applyChanges(swap, req)
+
+      // Status change, item updates, point settlement and competing swaps commit together
+      let competitors = []
+      await mongoose.connection.transaction(async (session) => {
+        await swap.save({ session })
+        if (newStatus === 'completed') {
+          await swap.settle(session)
+        }
+        // Other pending swaps for the claimed items are waitlisted (on request) or closed
+        if (newStatus === 'accepted' || newStatus === 'completed') {
+          const waitlist = newStatus === 'accepted' && req.body.competingSwaps === 'waitlist'
+          competitors = await swap.resolveCompetingSwaps({ waitlist }, session)
+        }
+      })
+      await Swap.notifyCompetitors(req.io, competitors, req.user._id)
+
+      // Cancelling an accepted swap puts its items back on the market
+      if (newStatus === 'cancelled' && previousStatus === 'accepted') {
+        await swap.releaseWaitlist(req.io)
+        await Wishlist.notifyAvailable(req.io, swap.getItemIds())
+      }
+
+      // Notify the other participant
+      const otherParticipant = swap.getOtherParticipant(req.user._id)
+      await Notification.send(req.io, otherParticipant, event, {
+        swapId: swap._id,
+        status: swap.status,
+        previousStatus,
+        updatedBy: req.user._id,
+        message: notification(swap, req)
+      })
+
+      res.json({
+        message: successMessage,
+        swap
+      })
+
+    } catch (error) {
+      console.error(`Swap ${newStatus} error:`, error)
+      if (error.name === 'CastError') {
+        return res.status(404).json({ message: 'Swap not found' })
+      }
+      if (error.name === 'InsufficientPointsError') {
+        return res.status(400).json({ message: 'Requester does not have enough points to complete this swap' })
+      }
+      // Another update (e.g. a counter-offer) changed the swap after it was loaded
+      if (error.name === 'DocumentNotFoundError') {
+        return res.status(409).json({ message: 'This swap was updated by the other participant, please reload it' })
+      }
+      // Another swap claimed one of the items first
+      if (error.name === 'ItemUnavailableError') {
+        return res.status(409).json({ message: error.message })
+      }
+      res.status(500).json({ message: 'Server error while updating swap' })
+    }
+  }
+}
+
+// @route   PUT /api/swaps/:id/accept
+// @desc    Accept the latest revision of a pending swap and resolve competing swaps for its items
+// @access  Private (Participant who did not make the latest offer)
+router.put('/:id/accept', auth, [
+  body('revision').isInt({ min: 1 }).withMessage('The revision being accepted is required'),
+  body('competingSwaps').optional().isIn(['reject', 'waitlist']).withMessage('competingSwaps must be reject or waitlist')
+], transitionSwap('accepted', {
+  event: 'swap-response',
+  successMessage: 'Swap accepted successfully',
+  notification: (swap, req) => {
+    const offer = swap.revision > 1 ? 'counter-offer' : 'swap request'
+    return `${req.user.username} accepted your ${offer} for ${swap.describeRequestedItems()}`
+  },
+  verify: (swap, req) => {
+    if (Number(req.body.revision) !== swap.revision) {
+      return 'This offer has been superseded by a newer counter-offer'
+    }
+  },
+  applyChanges: (swap) => {
+    swap.acceptedAt = new Date()
+  }
+}))
+
+// @route   PUT /api/swaps/:id/reject
+// @desc    Reject a pending swap request
+// @access  Private (Item owner only)
+router.put('/:id/reject', auth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], transitionSwap('rejected', {
+  event: 'swap-response',
+  successMessage: 'Swap rejected successfully',
+  notification: (swap, req) => `${req.user.username} declined your swap request for ${swap.describeRequestedItems()}`,
+  applyChanges: (swap, req) => {
+    if (req.body.reason) swap.cancelReason = req.body.reason
+  }
+}))
+
+// @route   PUT /api/swaps/:id/cancel
+// @desc    Cancel a swap (requester while pending, either participant once accepted)
+// @access  Private (Participants only)
+router.put('/:id/cancel', auth, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], transitionSwap('cancelled', {
+  event: 'swap-cancelled',
+  successMessage: 'Swap cancelled successfully',
+  notification: (swap, req) => `${req.user.username} cancelled the swap for ${swap.describeRequestedItems()}`,
+  applyChanges: (swap, req) => {
+    swap.cancelledAt = new Date()
+    swap.cancelReason = req.body.reason || `Cancelled by ${swap.getRole(req.user._id)}`
+  }
+}))
+
+// @route   PUT /api/swaps/:id/complete
+// @desc    Mark an accepted swap as completed
+// @access  Private (Participants only)
+router.put('/:id/complete', auth, transitionSwap('completed', {
+  event: 'swap-completed',
+  successMessage: 'Swap completed successfully',
+  notification: (swap, req) => `${req.user.username} marked the swap for ${swap.describeRequestedItems()} as completed`,
+  applyChanges: (swap) => {
+    swap.completedAt = new Date()
+  }
+}))
+
+// @route   POST /api/swaps/:id/counter
+// @desc    Propose different offered items or points on a pending swap
+// @access  Private (Participants only)
+router.post('/:id/counter', auth, [
+  body('offeredItem').optional().isMongoId().withMessage('Invalid offered item ID'),
+  body('offeredItems').optional().isArray({ max: Swap.MAX_BUNDLE_ITEMS })
+    .withMessage(`No more than ${Swap.MAX_BUNDLE_ITEMS} offered items are allowed`),
+  body('offeredItems.*').isMongoId().withMessage('Invalid offered item ID'),
+  body('pointsOffered').optional().isInt({ min: 0 }).withMessage('Points offered must be a non-negative integer'),
+  body('message').optional().trim().isLength({ max: 500 }).withMessage('Message cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const swap = await Swap.findById(req.params.id).populate('requestedItems', 'title swapPreferences')
+
+    if (!swap) {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+
+    const role = swap.getRole(req.user._id)
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to update this swap' })
+    }
+
+    if (swap.status !== 'pending') {
+      return res.status(400).json({ message: `Cannot counter a ${swap.status} swap` })
+    }
+
+    const offeredIds = itemIdsFrom(req.body.offeredItems, req.body.offeredItem)
+    const pointsOffered = parseInt(req.body.pointsOffered) || 0
+
+    if (!offeredIds.length && !pointsOffered) {
+      return res.status(400).json({ message: 'A counter-offer needs offered items or points' })
+    }
+
+    const currentIds = swap.offeredItems.map(String)
+    const unchanged = (swap.pointsOffered || 0) === pointsOffered &&
+      offeredIds.length === currentIds.length &&
+      offeredIds.every((id) => currentIds.includes(id))
+    if (unchanged) {
+      return res.status(400).json({ message: 'A counter-offer must change the offered items or points' })
+    }
+
+    // Offered items always come from the requester, whoever proposes them
+    if (offeredIds.length) {
+      const offeredItemDocs = await Item.find({ _id: { $in: offeredIds } })
+      if (offeredItemDocs.length !== offeredIds.length) {
+        return res.status(404).json({ message: 'Offered item not found' })
+      }
+
+      if (offeredItemDocs.some((item) => item.owner.toString() !== swap.requester.toString())) {
+        return res.status(400).json({ message: 'Only items belonging to the requester can be offered' })
+      }
+
+      if (offeredItemDocs.some((item) => item.availability !== 'available')) {
+        return res.status(400).json({ message: 'Offered item is not available' })
+      }
+    }
+
+    // The owner's item preferences bind the requester; the owner may propose whatever they like
+    if (role === 'requester') {
+      if (offeredIds.length && swap.requestedItems.some((item) => !item.swapPreferences.acceptSwaps)) {
+        return res.status(400).json({ message: 'Owner does not accept direct swaps for this item' })
+      }
+
+      if (pointsOffered && swap.requestedItems.some((item) => !item.swapPreferences.acceptPoints)) {
+        return res.status(400).json({ message: 'Owner does not accept points for this item' })
+      }
+    }
+
+    // New terms and the requester's adjusted point hold commit together
+    await mongoose.connection.transaction(async (session) => {
+      await swap.counter({
+        proposedBy: req.user._id,
+        offeredItems: offeredIds,
+        pointsOffered,
+        message: req.body.message
+      }, session)
+    })
+    await swap.populate([
+      { path: 'offeredItems', select: 'title images pointValue' },
+      { path: 'revisions.offeredItems', select: 'title' }
+    ])
+
+    const otherParticipant = swap.getOtherParticipant(req.user._id)
+    await Notification.send(req.io, otherParticipant, 'swap-counter', {
+      swapId: swap._id,
+      revision: swap.revision,
+      offeredItems: swap.offeredItems.map((item) => ({ _id: item._id, title: item.title })),
+      pointsOffered: swap.pointsOffered || 0,
+      updatedBy: req.user._id,
+      message: `${req.user.username} sent a counter-offer for ${swap.describeRequestedItems()}`
+    })
+
+    res.json({
+      message: 'Counter-offer sent successfully',
+      swap
+    })
+
+  } catch (error) {
+    console.error('Counter swap error:', error)
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+    if (error.name === 'InsufficientPointsError') {
+      return res.status(400).json({ message: 'Requester does not have enough available points for this offer' })
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      return res.status(409).json({ message: 'This swap was updated by the other participant, please reload it' })
+    }
+    res.status(500).json({ message: 'Server error while sending counter-offer' })
+  }
+})
+
+// Swaps that still accept chat messages
+const CHAT_OPEN_STATUSES = ['pending', 'accepted', 'completed']
+
+// Both participants' rooms, so every device of each user stays in sync
+const participantRooms = (swap) => [swap.requester.toString(), swap.owner.toString()]
+
+// @route   GET /api/swaps/:id/messages
+// @desc    Get swap messages, newest page first (pass nextCursor as "before" for older messages)
+// @access  Private (Participants only)
+router.get('/:id/messages', auth, [
+  query('before').optional().isMongoId().withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const swap = await Swap.findById(req.params.id)
+      .select('requester owner conversation')
+      .populate('conversation.sender', 'username firstName lastName avatar')
+
+    if (!swap) {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+
+    if (!swap.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this conversation' })
+    }
+
+    const limit = parseInt(req.query.limit) || 30
+    let messages = swap.conversation
+
+    // Message ids are time-ordered, so the cursor is the oldest id already seen
+    if (req.query.before) {
+      const cursorIndex = messages.findIndex((msg) => msg._id.toString() === req.query.before)
+      messages = cursorIndex === -1 ? [] : messages.slice(0, cursorIndex)
+    }
+
+    const page = messages.slice(-limit)
+    const hasMore = messages.length > page.length
+
+    res.json({
+      messages: page,
+      nextCursor: hasMore ? page[0]._id : null,
+      hasMore
+    })
+
+  } catch (error) {
+    console.error('Get swap messages error:', error)
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+    res.status(500).json({ message: 'Server error while fetching messages' })
+  }
+})
+
+// @route   POST /api/swaps/:id/messages
+// @desc    Send a message to the other participant
+// @access  Private (Participants only)
+router.post('/:id/messages', auth, [
+  body('message').trim().isLength({ min: 1, max: 500 }).withMessage('Message must be between 1 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const swap = await Swap.findById(req.params.id)
+
+    if (!swap) {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+
+    if (!swap.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to message in this swap' })
+    }
+
+    if (!CHAT_OPEN_STATUSES.includes(swap.status)) {
+      return res.status(400).json({ message: `Cannot send messages on a ${swap.status} swap` })
+    }
+
+    swap.conversation.push({ sender: req.user._id, message: req.body.message })
+    await swap.save()
+
+    const newMessage = swap.conversation[swap.conversation.length - 1].toObject()
+    newMessage.sender = {
+      _id: req.user._id,
+      username: req.user.username,
+      firstName: req.user.firstName,
+      lastName: req.user.lastName,
+      avatar: req.user.avatar
+    }
+
+    req.io.to(participantRooms(swap)).emit('swap:message', {
+      swapId: swap._id,
+      message: newMessage
+    })
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: newMessage
+    })
+
+  } catch (error) {
+    console.error('Send swap message error:', error)
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+    res.status(500).json({ message: 'Server error while sending message' })
+  }
+})
+
+// @route   PUT /api/swaps/:id/messages/read
+// @desc    Mark the other participant's messages as read
+// @access  Private (Participants only)
+router.put('/:id/messages/read', auth, async (req, res) => {
+  try {
+    const swap = await Swap.findById(req.params.id).select('requester owner')
+
+    if (!swap) {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+
+    if (!swap.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to update this conversation' })
+    }
+
+    const result = await Swap.updateOne(
+      { _id: swap._id },
+      { $set: { 'conversation.$[msg].read': true } },
+      { arrayFilters: [{ 'msg.sender': { $ne: req.user._id }, 'msg.read': false }] }
+    )
+
+    const readAt = new Date()
+    if (result.modifiedCount > 0) {
+      req.io.to(participantRooms(swap)).emit('swap:read', {
+        swapId: swap._id,
+        readBy: req.user._id,
+        readAt
+      })
+    }
+
+    res.json({
+      message: 'Messages marked as read',
+      readAt
+    })
+
+  } catch (error) {
+    console.error('Mark swap messages read error:', error)
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+    res.status(500).json({ message: 'Server error while marking messages as read' })
+  }
+})
+
+// How long a participant may revise a rating after first submitting it
+const RATING_EDIT_WINDOW_MS = (Number(process.env.RATING_EDIT_WINDOW_HOURS) || 48) * 60 * 60 * 1000
+
+// @route   POST /api/swaps/:id/rate
+// @desc    Rate the other participant of a completed swap
+// @access  Private (Participants only)
+router.post('/:id/rate', auth, [
+  body('score').isInt({ min: 1, max: 5 }).withMessage('Score must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      })
+    }
+
+    const swap = await Swap.findById(req.params.id)
+
+    if (!swap) {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+
+    const role = swap.getRole(req.user._id)
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to rate this swap' })
+    }
+
+    if (swap.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed swaps can be rated' })
+    }
+
+    const ratingKey = role === 'requester' ? 'requesterRating' : 'ownerRating'
+    const existingRating = swap.rating[ratingKey]
+    const isEdit = Boolean(existingRating && existingRating.score)
+
+    if (isEdit && Date.now() - existingRating.date.getTime() > RATING_EDIT_WINDOW_MS) {
+      return res.status(400).json({ message: 'The edit window for this rating has closed' })
+    }
+
+    const now = new Date()
+    swap.rating[ratingKey] = {
+      score: req.body.score,
+      comment: req.body.comment,
+      date: isEdit ? existingRating.date : now,
+      editedAt: isEdit ? now : undefined
+    }
+    await swap.save()
+
+    const ratedUser = swap.getOtherParticipant(req.user._id)
+    const reputation = await User.updateReputation(ratedUser)
+
+    await Notification.send(req.io, ratedUser, 'swap-rated', {
+      swapId: swap._id,
+      score: req.body.score,
+      message: `${req.user.username} ${isEdit ? 'updated their rating' : 'rated you'} ${req.body.score}/5`
+    })
+
+    res.status(isEdit ? 200 : 201).json({
+      message: isEdit ? 'Rating updated successfully' : 'Rating submitted successfully',
+      rating: swap.rating[ratingKey],
+      reputation
+    })
+
+  } catch (error) {
+    console.error('Rate swap error:', error)
+    if (error.name === 'CastError') {
+      return res.status(404).json({ message: 'Swap not found' })
+    }
+    res.status(500).json({ message: 'Server error while rating swap' })
+  }
+})
+
+module.exports = router
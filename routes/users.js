@@ -0,0 +1,616 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const { body, query, validationResult } = require("express-validator")
+const User = require("../models/User")
+const Item = require("../models/Item")
+const Swap = require("../models/Swap")
+const PointTransaction = require("../models/PointTransaction")
+const Notification = require("../models/Notification")
+const Session = require("../models/Session")
+const UserToken = require("../models/UserToken")
+const SavedSearch = require("../models/SavedSearch")
+const Wishlist = require("../models/Wishlist")
+const { auth } = require("../middleware/auth")
+const { toList } = require("../utils/queryParams")
+const { paginate } = require("../utils/pagination")
+const { DEFAULT_RADIUS_KM, parseLatLng } = require("../utils/geo")
+
+const router = express.Router()
+
+// @route   GET /api/users/me/points/history
+// @desc    Get the current user's point ledger
+// @access  Private
+router.get(
+  "/me/points/history",
+  auth,
+  [
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { user: req.user._id }
+
+      const transactions = await PointTransaction.find(filter)
+        .populate("swap", "type status")
+        .populate("item", "title images")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean()
+
+      const total = await PointTransaction.countDocuments(filter)
+
+      res.json({
+        balance: req.user.points,
+        transactions,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+        },
+      })
+    } catch (error) {
+      console.error("Get point history error:", error)
+      res.status(500).json({ message: "Server error while fetching point history" })
+    }
+  },
+)
+
+// @route   GET /api/users/me/likes
+// @desc    Get items liked by the current user
+// @access  Private
+router.get("/me/likes", auth, async (req, res) => {
+  try {
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 12
+    const skip = (page - 1) * limit
+
+    const filter = { likes: req.user._id, status: "approved" }
+
+    const items = await Item.find(filter)
+      .select("-likes -reports")
+      .populate("owner", "username firstName lastName avatar")
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+
+    const total = await Item.countDocuments(filter)
+
+    res.json({
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      },
+    })
+  } catch (error) {
+    console.error("Get liked items error:", error)
+    res.status(500).json({ message: "Server error while fetching liked items" })
+  }
+})
+
+// @route   GET /api/users/me/swaps
+// @desc    Get swaps the current user takes part in, filtered by status and role
+// @access  Private
+router.get(
+  "/me/swaps",
+  auth,
+  [
+    query("status")
+      .optional()
+      .custom((value) =>
+        value.split(",").every((status) => ["pending", "accepted", "rejected", "completed", "cancelled"].includes(status)),
+      )
+      .withMessage("Invalid swap status"),
+    query("role").optional().isIn(["requester", "owner"]).withMessage("Role must be requester or owner"),
+    query("page").optional().isInt({ min: 1 }).withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 50 }).withMessage("Limit must be between 1 and 50"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const limit = Number.parseInt(req.query.limit) || 20
+
+      const filter = req.query.role
+        ? { [req.query.role]: req.user._id }
+        : { $or: [{ requester: req.user._id }, { owner: req.user._id }] }
+
+      if (req.query.status) {
+        filter.status = { $in: req.query.status.split(",") }
+      }
+
+      // Most recent activity first; updatedAt changes as swaps progress, so this pages by offset
+      const { results: swaps, pagination } = await paginate(Swap, {
+        filter,
+        sort: { field: "updatedAt", order: -1 },
+        limit,
+        params: { page: req.query.page },
+        build: (swapQuery) =>
+          swapQuery
+            .select("-conversation")
+            .populate("requester", "username firstName lastName avatar")
+            .populate("owner", "username firstName lastName avatar")
+            .populate("requestedItems", "title images pointValue availability")
+            .populate("offeredItems", "title images pointValue availability"),
+      })
+
+      const unreadCounts = await Swap.getUnreadCounts(
+        swaps.map((swap) => swap._id),
+        req.user._id,
+      )
+
+      res.json({
+        swaps: swaps.map((swap) => ({
+          ...swap.toObject(),
+          unreadCount: unreadCounts[swap._id.toString()] || 0,
+        })),
+        pagination,
+      })
+    } catch (error) {
+      console.error("Get user swaps error:", error)
+      res.status(500).json({ message: "Server error while fetching swaps" })
+    }
+  },
+)
+
+// @route   PUT /api/users/me/avatar
+// @desc    Set or remove the current user's avatar
+// @access  Private
+router.put(
+  "/me/avatar",
+  auth,
+  [
+    body("avatar")
+      .optional({ nullable: true })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Avatar must be a valid http(s) URL"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: { avatar: req.body.avatar || null } },
+        { new: true, runValidators: true },
+      )
+
+      res.json({
+        message: req.body.avatar ? "Avatar updated successfully" : "Avatar removed successfully",
+        user: user.toJSON(),
+      })
+    } catch (error) {
+      console.error("Avatar update error:", error)
+      res.status(500).json({ message: "Server error during avatar update" })
+    }
+  },
+)
+
+const SAVED_SEARCH_LIST_FILTERS = ["category", "type", "size", "condition", "brand", "color", "tags"]
+
+// Saved search filters accept the same values as the GET /api/items query
+const buildSavedSearchFilters = (input) => {
+  const filters = {}
+
+  SAVED_SEARCH_LIST_FILTERS.forEach((field) => {
+    const values = toList(input[field])
+    if (values.length) filters[field] = values
+  })
+  if (input.minPoints) filters.minPoints = Number.parseInt(input.minPoints)
+  if (input.maxPoints) filters.maxPoints = Number.parseInt(input.maxPoints)
+  if (input.search) filters.search = input.search
+  if (input.near) {
+    filters.near = { type: "Point", coordinates: parseLatLng(input.near) }
+    filters.radiusKm = Number.parseFloat(input.radiusKm) || DEFAULT_RADIUS_KM
+  }
+
+  return filters
+}
+
+const savedSearchJSON = (savedSearch) => ({
+  ...savedSearch.toObject(),
+  query: savedSearch.toQueryString(),
+})
+
+// @route   GET /api/users/me/saved-searches
+// @desc    Get the current user's saved searches
+// @access  Private
+router.get("/me/saved-searches", auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+    res.json({ savedSearches: savedSearches.map(savedSearchJSON) })
+  } catch (error) {
+    console.error("Get saved searches error:", error)
+    res.status(500).json({ message: "Server error while fetching saved searches" })
+  }
+})
+
+// @route   POST /api/users/me/saved-searches
+// @desc    Save a set of item filters; newly approved items that match trigger a notification
+// @access  Private
+router.post(
+  "/me/saved-searches",
+  auth,
+  [
+    body("name").trim().isLength({ min: 1, max: 100 }).withMessage("Name is required and cannot exceed 100 characters"),
+    body("filters").isObject().withMessage("Filters are required"),
+    ...["category", "type", "size", "condition"].map((field) =>
+      body(`filters.${field}`)
+        .optional()
+        .custom((value) => toList(value).every((entry) => Item.schema.path(field).enumValues.includes(entry)))
+        .withMessage(`Invalid ${field}`),
+    ),
+    body("filters.minPoints").optional().isInt({ min: 1 }),
+    body("filters.maxPoints").optional().isInt({ min: 1 }),
+    body("filters.search").optional().isString().isLength({ max: 100 }),
+    body("filters.near")
+      .optional()
+      .custom((value) => parseLatLng(value) !== null)
+      .withMessage("near must be given as lat,lng"),
+    body("filters.radiusKm").optional().isFloat({ min: 0.1, max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const filters = buildSavedSearchFilters(req.body.filters)
+      if (!Object.keys(filters).length) {
+        return res.status(400).json({ message: "A saved search needs at least one filter" })
+      }
+
+      const count = await SavedSearch.countDocuments({ user: req.user._id })
+      if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+        return res.status(400).json({ message: `You can save up to ${SavedSearch.MAX_SAVED_SEARCHES} searches` })
+      }
+
+      const savedSearch = await SavedSearch.create({ user: req.user._id, name: req.body.name, filters })
+
+      res.status(201).json({
+        message: "Search saved successfully",
+        savedSearch: savedSearchJSON(savedSearch),
+      })
+    } catch (error) {
+      console.error("Create saved search error:", error)
+      res.status(500).json({ message: "Server error while saving search" })
+    }
+  },
+)
+
+// @route   DELETE /api/users/me/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private
+router.delete("/me/saved-searches/:id", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: "Saved search not found" })
+    }
+
+    const savedSearch = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id })
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: "Saved search not found" })
+    }
+
+    res.json({ message: "Saved search deleted successfully" })
+  } catch (error) {
+    console.error("Delete saved search error:", error)
+    res.status(500).json({ message: "Server error while deleting saved search" })
+  }
+})
+
+// @route   GET /api/users/me/wishlist
+// @desc    Get the items the current user is watching, most recently added first (cursor paginated)
+// @access  Private
+router.get("/me/wishlist", auth, async (req, res) => {
+  try {
+    const { results: wishlist, pagination } = await paginate(Wishlist, {
+      filter: { user: req.user._id },
+      sort: { field: "addedAt", order: -1 },
+      limit: Math.min(Number.parseInt(req.query.limit) || 20, 50),
+      params: req.query,
+      build: (wishlistQuery) =>
+        wishlistQuery
+          .populate({
+            path: "item",
+            select: "title images pointValue status availability owner",
+            populate: { path: "owner", select: "username firstName lastName avatar" },
+          })
+          .lean(),
+    })
+
+    res.json({ wishlist, pagination })
+  } catch (error) {
+    if (error.name === "CursorError") {
+      return res.status(400).json({ message: error.message })
+    }
+    console.error("Get wishlist error:", error)
+    res.status(500).json({ message: "Server error while fetching wishlist" })
+  }
+})
+
+// @route   POST /api/users/me/wishlist
+// @desc    Watch an item; watchers are notified when it becomes available again or its point value drops
+// @access  Private
+router.post(
+  "/me/wishlist",
+  auth,
+  [
+    body("itemId").isMongoId().withMessage("Valid item ID is required"),
+    body("note").optional().trim().isLength({ max: 200 }).withMessage("Note cannot exceed 200 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const item = await Item.findOne({ _id: req.body.itemId, status: { $in: ["approved", "swapped"] } }).select(
+        "owner",
+      )
+
+      if (!item) {
+        return res.status(404).json({ message: "Item not found" })
+      }
+
+      if (item.owner.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: "You cannot add your own item to your wishlist" })
+      }
+
+      const existing = await Wishlist.exists({ user: req.user._id, item: item._id })
+      if (existing) {
+        return res.status(400).json({ message: "Item is already on your wishlist" })
+      }
+
+      const entry = await Wishlist.create({ user: req.user._id, item: item._id, note: req.body.note })
+
+      res.status(201).json({
+        message: "Item added to wishlist",
+        entry,
+      })
+    } catch (error) {
+      console.error("Add to wishlist error:", error)
+      res.status(500).json({ message: "Server error while updating wishlist" })
+    }
+  },
+)
+
+// @route   DELETE /api/users/me/wishlist/:itemId
+// @desc    Stop watching an item
+// @access  Private
+router.delete("/me/wishlist/:itemId", auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(404).json({ message: "Item is not on your wishlist" })
+    }
+
+    const entry = await Wishlist.findOneAndDelete({ user: req.user._id, item: req.params.itemId })
+
+    if (!entry) {
+      return res.status(404).json({ message: "Item is not on your wishlist" })
+    }
+
+    res.json({ message: "Item removed from wishlist" })
+  } catch (error) {
+    console.error("Remove from wishlist error:", error)
+    res.status(500).json({ message: "Server error while updating wishlist" })
+  }
+})
+
+// @route   GET /api/users/me/export
+// @desc    Download a JSON archive of the current user's personal data
+// @access  Private
+router.get("/me/export", auth, async (req, res) => {
+  try {
+    const userId = req.user._id
+
+    const [items, swaps, likedItems, pointHistory, notifications, sessions, savedSearches, wishlist] = await Promise.all([
+      Item.find({ owner: userId }).select("-likes -reports").lean(),
+      Swap.find({ $or: [{ requester: userId }, { owner: userId }] })
+        .populate("requester", "username")
+        .populate("owner", "username")
+        .populate("requestedItems", "title")
+        .populate("offeredItems", "title")
+        .lean(),
+      Item.find({ likes: userId }).select("title owner createdAt").lean(),
+      PointTransaction.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Session.find({ user: userId }).select("userAgent ip createdAt lastUsedAt revokedAt").lean(),
+      SavedSearch.find({ user: userId }).lean(),
+      Wishlist.find({ user: userId }).populate("item", "title").lean(),
+    ])
+
+    // Messages this user wrote, across all of their swaps
+    const messages = swaps.flatMap((swap) =>
+      swap.conversation
+        .filter((msg) => msg.sender.toString() === userId.toString())
+        .map((msg) => ({ swap: swap._id, message: msg.message, timestamp: msg.timestamp })),
+    )
+
+    // Other members' words stay out of the archive: their chat messages, request notes and counter-offer notes
+    const ownSwaps = swaps.map(({ conversation, ...swap }) => ({
+      ...swap,
+      message: swap.requester && swap.requester._id.equals(userId) ? swap.message : undefined,
+      revisions: (swap.revisions || []).map((revision) =>
+        revision.proposedBy.toString() === userId.toString() ? revision : { ...revision, message: undefined },
+      ),
+    }))
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: req.user.toJSON(),
+      items,
+      swaps: ownSwaps,
+      messages,
+      likes: likedItems,
+      pointHistory,
+      notifications,
+      sessions,
+      savedSearches,
+      wishlist,
+    }
+
+    res.attachment(`rewear-export-${req.user.username}.json`)
+    res.type("application/json")
+    res.send(JSON.stringify(archive, null, 2))
+  } catch (error) {
+    console.error("Export user data error:", error)
+    res.status(500).json({ message: "Server error while exporting data" })
+  }
+})
+
+// @route   DELETE /api/users/me
+// @desc    Close the current user's account and anonymise their personal data
+// @access  Private
+router.delete(
+  "/me",
+  auth,
+  [body("password").notEmpty().withMessage("Password is required to delete your account")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.array(),
+        })
+      }
+
+      const user = await User.findById(req.user._id)
+
+      const isMatch = await user.comparePassword(req.body.password)
+      if (!isMatch) {
+        return res.status(400).json({ message: "Password is incorrect" })
+      }
+
+      const openSwaps = await Swap.find({
+        $or: [{ requester: user._id }, { owner: user._id }],
+        status: { $in: ["pending", "accepted"] },
+      }).populate("requestedItems", "title")
+
+      // Items reserved by accepted swaps go back on the market once cancelled
+      const acceptedSwaps = openSwaps.filter((swap) => swap.status === "accepted")
+      const reservedItemIds = acceptedSwaps.flatMap((swap) => swap.getItemIds())
+
+      await mongoose.connection.transaction(async (session) => {
+        // Cancelling through save() releases escrowed points and reserved items
+        for (const swap of openSwaps) {
+          swap.status = "cancelled"
+          swap.cancelledAt = new Date()
+          swap.cancelReason = "Account deleted"
+          await swap.save({ session })
+        }
+
+        // Withdraw listings that haven't been swapped; swapped items stay for the other party's history
+        await Item.updateMany(
+          { owner: user._id, availability: { $ne: "swapped" } },
+          { $set: { status: "removed", availability: "removed" } },
+          { session },
+        )
+        await Item.updateMany({ likes: user._id }, { $pull: { likes: user._id } }, { session })
+
+        await Notification.deleteMany({ user: user._id }, { session })
+        await UserToken.deleteMany({ user: user._id }, { session })
+        await SavedSearch.deleteMany({ user: user._id }, { session })
+        await Wishlist.deleteMany({ user: user._id }, { session })
+        await Session.revokeAll(user._id, "account-deleted").session(session)
+
+        user.anonymize()
+        await user.save({ session })
+      })
+
+      req.io.in(user._id.toString()).disconnectSockets()
+
+      await Promise.all(
+        openSwaps.map((swap) =>
+          Notification.send(req.io, swap.getOtherParticipant(user._id), "swap-cancelled", {
+            swapId: swap._id,
+            status: "cancelled",
+            message: `The swap for ${swap.describeRequestedItems()} was cancelled because the other member closed their account`,
+          }),
+        ),
+      )
+
+      await Promise.all(acceptedSwaps.map((swap) => swap.releaseWaitlist(req.io)))
+      await Wishlist.notifyAvailable(req.io, reservedItemIds)
+
+      res.json({ message: "Your account has been deleted" })
+    } catch (error) {
+      console.error("Delete account error:", error)
+      res.status(500).json({ message: "Server error while deleting account" })
+    }
+  },
+)
+
+// @route   GET /api/users/:username
+// @desc    Get a member's public profile
+// @access  Public
+router.get("/:username", async (req, res) => {
+  try {
+    const user = await User.findOne({ username: req.params.username, isActive: true })
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" })
+    }
+
+    const itemFilter = { owner: user._id, status: "approved", availability: "available" }
+
+    const [items, totalItems] = await Promise.all([
+      Item.find(itemFilter)
+        .select("title images category size condition pointValue createdAt")
+        .sort({ createdAt: -1 })
+        .limit(12)
+        .lean(),
+      Item.countDocuments(itemFilter),
+    ])
+
+    res.json({
+      user: user.toPublicJSON(),
+      items,
+      totalItems,
+    })
+  } catch (error) {
+    console.error("Get public profile error:", error)
+    res.status(500).json({ message: "Server error while fetching profile" })
+  }
+})
+
+module.exports = router
@@ -2,10 +2,17 @@ const express = require("express")
 const mongoose = require("mongoose")
 const cors = require("cors")
 const helmet = require("helmet")
-const rateLimit = require("express-rate-limit")
 const http = require("http")
+const path = require("path")
 const socketIo = require("socket.io")
 require("dotenv").config()
+const { socketAuth } = require("./middleware/auth")
+const { apiLimiter } = require("./middleware/rateLimit")
+const { registerSwapHandlers } = require("./sockets/swaps")
+const { startSwapExpiryJob } = require("./jobs/swapExpiry")
+const Item = require("./models/Item")
+const Swap = require("./models/Swap")
+const User = require("./models/User")
 
 const app = express()
 const server = http.createServer(app)
@@ -17,7 +24,8 @@ const io = socketIo(server, {
 })
 
 // Security middleware
-app.use(helmet())
+// Uploaded images are loaded cross-origin by the Next.js client
+app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }))
 app.use(
   cors({
     origin: process.env.CLIENT_URL || "http://localhost:3000",
@@ -25,33 +33,58 @@ app.use(
   }),
 )
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-})
-app.use(limiter)
+// Rate limiting: separate per-IP buckets for reads, auth requests and other writes
+app.use("/api", apiLimiter)
 
 // Body parsing middleware
 app.use(express.json({ limit: "10mb" }))
 app.use(express.urlencoded({ extended: true, limit: "10mb" }))
 
+// Uploaded files for the local storage driver
+app.use("/uploads", express.static(path.resolve(process.env.UPLOAD_DIR || "uploads")))
+
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/rewear", {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log("MongoDB connected"))
+  .then(async () => {
+    console.log("MongoDB connected")
+    try {
+      const backfilled = await Item.backfillSearchTerms()
+      if (backfilled) console.log(`Built search terms for ${backfilled} items`)
+      const verifiedUsers = await User.backfillEmailVerified()
+      if (verifiedUsers) console.log(`Marked ${verifiedUsers} existing accounts as verified`)
+      const placedItems = await Item.backfillLocationPoints()
+      const placedUsers = await User.backfillLocationPoints()
+      if (placedItems || placedUsers) console.log(`Placed ${placedItems} items and ${placedUsers} users on the map`)
+      const migratedSwaps = await Swap.backfillItemLists()
+      if (migratedSwaps) console.log(`Filled item lists for ${migratedSwaps} swaps`)
+    } catch (err) {
+      console.error("Startup backfill error:", err)
+    }
+
+    // Expire stale swaps now and then on a schedule
+    const swapExpiryJob = startSwapExpiryJob(io)
+    if (swapExpiryJob) swapExpiryJob.runNow()
+  })
   .catch((err) => console.log("MongoDB connection error:", err))
 
 // Socket.io connection handling
+// Only authenticated sockets connect; each joins its own user room (and "admins" for admins)
+io.use(socketAuth)
+
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id)
 
-  socket.on("join-room", (userId) => {
-    socket.join(userId)
-  })
+  socket.join(socket.data.userId)
+  socket.join(`session:${socket.data.sessionId}`)
+  if (socket.data.user.role === "admin") {
+    socket.join("admins")
+  }
+
+  registerSwapHandlers(io, socket)
 
   socket.on("disconnect", () => {
     console.log("User disconnected:", socket.id)
@@ -70,6 +103,7 @@ app.use("/api/items", require("./routes/items"))
 app.use("/api/users", require("./routes/users"))
 app.use("/api/swaps", require("./routes/swaps"))
 app.use("/api/admin", require("./routes/admin"))
+app.use("/api/notifications", require("./routes/notifications"))
 
 // Error handling middleware
 app.use((err, req, res, next) => {
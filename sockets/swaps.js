@@ -0,0 +1,25 @@
+const Swap = require("../models/Swap")
+
+// Relay typing indicators between the two participants of a swap.
+// Messages and read receipts are emitted by the REST routes in routes/swaps.js.
+const registerSwapHandlers = (io, socket) => {
+  socket.on("swap:typing", async ({ swapId, isTyping } = {}) => {
+    try {
+      const userId = socket.data.userId
+      if (!swapId) return
+
+      const swap = await Swap.findById(swapId).select("requester owner")
+      if (!swap || !swap.isParticipant(userId)) return
+
+      socket.to(swap.getOtherParticipant(userId).toString()).emit("swap:typing", {
+        swapId: swap._id,
+        userId,
+        isTyping: Boolean(isTyping),
+      })
+    } catch (error) {
+      console.error("Swap typing event error:", error)
+    }
+  })
+}
+
+module.exports = { registerSwapHandlers }
@@ -0,0 +1,171 @@
+const fs = require("fs")
+const path = require("path")
+
+// Offline gazetteer of city centroids and the postal prefixes they cover, so
+// locations can be placed on the map without calling an external geocoder.
+// GAZETTEER_PATH can point at a larger file in the same format.
+const GAZETTEER_PATH = process.env.GAZETTEER_PATH || path.join(__dirname, "gazetteer.json")
+
+const EARTH_RADIUS_KM = 6371
+
+// Radius used for "near" searches that don't give one
+const DEFAULT_RADIUS_KM = 25
+
+const COUNTRY_ALIASES = {
+  us: "US",
+  usa: "US",
+  "united states": "US",
+  "united states of america": "US",
+  ca: "CA",
+  canada: "CA",
+  gb: "GB",
+  uk: "GB",
+  "united kingdom": "GB",
+  "great britain": "GB",
+  england: "GB",
+  scotland: "GB",
+  wales: "GB",
+  au: "AU",
+  australia: "AU",
+  de: "DE",
+  germany: "DE",
+  fr: "FR",
+  france: "FR",
+}
+
+const normalize = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+
+const normalizeCountry = (country) => {
+  const key = normalize(country)
+  if (!key) return null
+  return COUNTRY_ALIASES[key] || key.toUpperCase()
+}
+
+let index = null
+
+const loadGazetteer = () => {
+  if (index) return index
+
+  const entries = JSON.parse(fs.readFileSync(GAZETTEER_PATH, "utf8"))
+  const byCity = new Map()
+  const byPostal = []
+
+  entries.forEach((entry) => {
+    const key = normalize(entry.city)
+    if (!byCity.has(key)) byCity.set(key, [])
+    byCity.get(key).push(entry)
+    ;(entry.postalPrefixes || []).forEach((prefix) => byPostal.push({ prefix: normalize(prefix), entry }))
+  })
+
+  // Longest prefix wins
+  byPostal.sort((a, b) => b.prefix.length - a.prefix.length)
+
+  index = { byCity, byPostal }
+  return index
+}
+
+// Letter-only prefixes are postcode areas (UK "SW", Canadian "M") and must match the
+// postcode's leading letters exactly, so "N" does not swallow "NE"; numeric prefixes match as-is.
+const matchesPostalPrefix = (postal, prefix) => {
+  if (/^[a-z]+$/.test(prefix)) return postal.match(/^[a-z]*/)[0] === prefix
+  return postal.startsWith(prefix)
+}
+
+// Look up [lng, lat] for a free-text location. Postal codes are tried first,
+// then city (narrowed by country and state). Returns null when nothing matches.
+const lookupCoordinates = ({ city, state, country, zipCode } = {}) => {
+  const { byCity, byPostal } = loadGazetteer()
+  const countryCode = normalizeCountry(country)
+
+  if (zipCode) {
+    const postal = normalize(zipCode).replace(/[\s-]/g, "")
+    const match = byPostal.find(
+      ({ prefix, entry }) => (!countryCode || entry.country === countryCode) && matchesPostalPrefix(postal, prefix),
+    )
+    if (match) return match.entry.coordinates
+  }
+
+  if (city) {
+    let candidates = byCity.get(normalize(city)) || []
+    if (countryCode) candidates = candidates.filter((entry) => entry.country === countryCode)
+
+    if (state) {
+      const stateKey = normalize(state)
+      const inState = candidates.filter(
+        (entry) => normalize(entry.state) === stateKey || normalize(entry.stateName) === stateKey,
+      )
+      if (inState.length) candidates = inState
+    }
+
+    // An unqualified city name shared by several places is ambiguous
+    if (candidates.length === 1 || (candidates.length > 1 && state)) return candidates[0].coordinates
+  }
+
+  return null
+}
+
+// GeoJSON point for a location, or undefined when it can't be placed
+const toPoint = (location) => {
+  const coordinates = location && lookupCoordinates(location)
+  return coordinates ? { type: "Point", coordinates } : undefined
+}
+
+// Parse "lat,lng" into GeoJSON order [lng, lat]
+const parseLatLng = (value) => {
+  const parts = String(value || "").split(",")
+  if (parts.length !== 2) return null
+
+  const [lat, lng] = parts.map((part) => Number(part.trim()))
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null
+
+  return [lng, lat]
+}
+
+// Query condition for points within radiusKm of [lng, lat]
+const withinRadius = (coordinates, radiusKm) => ({
+  $geoWithin: { $centerSphere: [coordinates, radiusKm / EARTH_RADIUS_KM] },
+})
+
+// Great-circle distance between two [lng, lat] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const dLat = toRadians(lat2 - lat1)
+  const dLng = toRadians(lng2 - lng1)
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Place documents of a model with a `location` that were saved before locations were put on the map.
+// Locations the gazetteer can't match stay without a point and are tried again on the next run.
+const backfillPoints = async (Model) => {
+  const docs = await Model.find({
+    "location.point.coordinates": { $exists: false },
+    $or: [{ "location.city": { $nin: [null, ""] } }, { "location.zipCode": { $nin: [null, ""] } }],
+  })
+    .select("location")
+    .lean()
+
+  const placed = docs.map((doc) => ({ _id: doc._id, point: toPoint(doc.location) })).filter(({ point }) => point)
+  if (!placed.length) return 0
+
+  await Model.bulkWrite(
+    placed.map(({ _id, point }) => ({
+      updateOne: { filter: { _id }, update: { $set: { "location.point": point } } },
+    })),
+  )
+  return placed.length
+}
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  lookupCoordinates,
+  toPoint,
+  parseLatLng,
+  withinRadius,
+  distanceKm,
+  backfillPoints,
+}
@@ -0,0 +1,91 @@
+const crypto = require("crypto")
+const multer = require("multer")
+const sharp = require("sharp")
+const storage = require("./storage")
+
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"]
+const MAX_FILE_SIZE = (Number(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024
+const MAX_IMAGES_PER_ITEM = 8
+
+// Output sizes; images are never upscaled
+const VARIANTS = {
+  full: { width: 1600, height: 1600, quality: 82 },
+  thumbnail: { width: 400, height: 400, quality: 70 },
+}
+
+// Multer keeps uploads in memory so they can be resized before storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_IMAGES_PER_ITEM },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      req.fileValidationError = `Unsupported image type ${file.mimetype}. Allowed types: JPEG, PNG, WebP`
+      return cb(null, false)
+    }
+    cb(null, true)
+  },
+})
+
+// Wrap a multer middleware so upload errors become 400 responses
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === "LIMIT_FILE_SIZE" ? `Each image must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)}MB` : error.message
+      return res.status(400).json({ message })
+    }
+    if (req.fileValidationError) {
+      return res.status(400).json({ message: req.fileValidationError })
+    }
+    next(error)
+  })
+}
+
+const renderVariant = (buffer, { width, height, quality }) => {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit: "inside", withoutEnlargement: true })
+    .webp({ quality })
+    .toBuffer({ resolveWithObject: true })
+}
+
+// Resize an uploaded file into full and thumbnail variants and store both.
+// Returns the fields of an Item.images entry.
+const processItemImage = async (file, itemId) => {
+  const baseKey = `items/${itemId}/${crypto.randomBytes(8).toString("hex")}`
+
+  const [full, thumbnail] = await Promise.all([
+    renderVariant(file.buffer, VARIANTS.full),
+    renderVariant(file.buffer, VARIANTS.thumbnail),
+  ])
+
+  const [storedFull, storedThumbnail] = await Promise.all([
+    storage.save(full.data, { key: `${baseKey}.webp`, contentType: "image/webp" }),
+    storage.save(thumbnail.data, { key: `${baseKey}-thumb.webp`, contentType: "image/webp" }),
+  ])
+
+  return {
+    url: storedFull.url,
+    publicId: storedFull.publicId,
+    width: full.info.width,
+    height: full.info.height,
+    thumbnail: {
+      url: storedThumbnail.url,
+      publicId: storedThumbnail.publicId,
+    },
+  }
+}
+
+// Remove every stored variant of an Item.images entry
+const removeItemImage = async (image) => {
+  const publicIds = [image.publicId, image.thumbnail && image.thumbnail.publicId].filter(Boolean)
+  await Promise.all(publicIds.map((publicId) => storage.remove(publicId)))
+}
+
+module.exports = {
+  MAX_IMAGES_PER_ITEM,
+  upload,
+  handleUpload,
+  processItemImage,
+  removeItemImage,
+}
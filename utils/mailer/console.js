@@ -0,0 +1,11 @@
+// Prints messages to the server log; the default for local development
+const send = async (message) => {
+  console.log(
+    ["--- Outgoing email ---", `To: ${message.to}`, `Subject: ${message.subject}`, "", message.text, "----------------------"].join(
+      "\n",
+    ),
+  )
+  return { id: `console-${Date.now()}` }
+}
+
+module.exports = { name: "console", send }
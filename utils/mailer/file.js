@@ -0,0 +1,18 @@
+const crypto = require("crypto")
+const fs = require("fs/promises")
+const path = require("path")
+
+// Writes each message as a JSON file to MAIL_DIR so tests and local runs can read them back
+const mailDir = path.resolve(process.env.MAIL_DIR || "mail")
+
+const send = async (message) => {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+  await fs.mkdir(mailDir, { recursive: true })
+  await fs.writeFile(
+    path.join(mailDir, `${id}.json`),
+    JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2),
+  )
+  return { id }
+}
+
+module.exports = { name: "file", mailDir, send }
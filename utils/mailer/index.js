@@ -0,0 +1,60 @@
+// Mail transports expose the same interface:
+//   send({ from, to, subject, text, html }) -> Promise<{ id }>
+// MAIL_TRANSPORT selects the transport ("console" by default, "file" or "smtp").
+const transports = {
+  console: () => require("./console"),
+  file: () => require("./file"),
+  smtp: () => require("./smtp"),
+}
+
+const transportName = process.env.MAIL_TRANSPORT || "console"
+
+if (!transports[transportName]) {
+  throw new Error(
+    `Unknown MAIL_TRANSPORT "${transportName}". Expected one of: ${Object.keys(transports).join(", ")}`,
+  )
+}
+
+const transport = transports[transportName]()
+const clientUrl = process.env.CLIENT_URL || "http://localhost:3000"
+
+// Member-supplied values must not be able to inject markup into HTML bodies
+const escapeHtml = (value) =>
+  String(value == null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+const sendMail = ({ to, subject, text, html }) => {
+  return transport.send({
+    from: process.env.MAIL_FROM || "ReWear <no-reply@rewear.local>",
+    to,
+    subject,
+    text,
+    html,
+  })
+}
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`
+  return sendMail({
+    to: user.email,
+    subject: "Confirm your ReWear email address",
+    text: `Hi ${user.firstName},\n\nConfirm your email address to start swapping:\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Confirm your email address to start swapping:</p><p><a href="${escapeHtml(link)}">Verify email</a></p><p>This link expires in 24 hours.</p>`,
+  })
+}
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${clientUrl}/reset-password?token=${encodeURIComponent(token)}`
+  return sendMail({
+    to: user.email,
+    subject: "Reset your ReWear password",
+    text: `Hi ${user.firstName},\n\nReset your password here:\n${link}\n\nThis link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p><a href="${escapeHtml(link)}">Reset your password</a></p><p>This link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.</p>`,
+  })
+}
+
+module.exports = { sendMail, sendVerificationEmail, sendPasswordResetEmail }
@@ -0,0 +1,15 @@
+const nodemailer = require("nodemailer")
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+})
+
+const send = async (message) => {
+  const info = await transporter.sendMail(message)
+  return { id: info.messageId }
+}
+
+module.exports = { name: "smtp", send }
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose")
+
+// Pagination for list endpoints.
+// Offset paging (`page`) is the default. Passing a `cursor` switches to keyset paging: the
+// cursor is an opaque token holding the sort value and _id of the boundary document, plus
+// which way to page from it, so documents added while someone scrolls can't shift the window.
+//
+// Cursors are only offered for sorts on keys that never change once a document exists.
+// A key like views or updatedAt can move a document across the boundary mid-scroll, which
+// would skip or repeat it, so those sorts page by offset only.
+const CURSOR_FIELDS = ["_id", "createdAt", "addedAt"]
+
+const supportsCursor = (sort) => CURSOR_FIELDS.includes(sort.field)
+
+const cursorError = (message) => {
+  const error = new Error(message)
+  error.name = "CursorError"
+  return error
+}
+
+const encodeCursor = (doc, sort, direction) => {
+  const value = doc[sort.field]
+  return Buffer.from(
+    JSON.stringify({
+      f: sort.field,
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: doc._id.toString(),
+      dir: direction,
+    }),
+  ).toString("base64url")
+}
+
+const decodeCursor = (cursor, sort) => {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+  } catch (error) {
+    throw cursorError("Invalid cursor")
+  }
+
+  if (!decoded || !mongoose.Types.ObjectId.isValid(decoded.id) || !["next", "prev"].includes(decoded.dir)) {
+    throw cursorError("Invalid cursor")
+  }
+  if (!supportsCursor(sort)) {
+    throw cursorError("Cursors are not available for this sort, use page instead")
+  }
+  if (decoded.f !== sort.field) {
+    throw cursorError("Cursor does not match the requested sort")
+  }
+
+  return {
+    value: decoded.d ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+    direction: decoded.dir,
+  }
+}
+
+// Documents strictly after the boundary in the given order, _id breaking ties
+const keysetFilter = (sort, { value, id }, order) => {
+  const op = order === 1 ? "$gt" : "$lt"
+  return {
+    $or: [{ [sort.field]: { [op]: value } }, { [sort.field]: value, _id: { [op]: id } }],
+  }
+}
+
+// Fetch one page of `Model.find(filter)` ordered by `sort` ({ field, order }).
+// `params` are the request's query values: page, cursor and includeTotal (cursor mode only).
+// `build` adds populate/select/lean to the query.
+// Resolves to { results, pagination }; throws a CursorError for a bad cursor.
+const paginate = async (Model, { filter, sort, limit, params = {}, build = (query) => query }) => {
+  const sortSpec = { [sort.field]: sort.order, _id: sort.order }
+
+  if (!params.cursor) {
+    const page = Number.parseInt(params.page) || 1
+    const [results, total] = await Promise.all([
+      build(Model.find(filter).sort(sortSpec).skip((page - 1) * limit).limit(limit)),
+      Model.countDocuments(filter),
+    ])
+    const totalPages = Math.ceil(total / limit)
+
+    return {
+      results,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+        // Lets clients switch to cursors from wherever they are
+        nextCursor:
+          supportsCursor(sort) && page < totalPages && results.length
+            ? encodeCursor(results[results.length - 1], sort, "next")
+            : null,
+      },
+    }
+  }
+
+  const cursor = decodeCursor(params.cursor, sort)
+  const backwards = cursor.direction === "prev"
+  const order = backwards ? -sort.order : sort.order
+  const pageFilter = { ...filter, $and: [...(filter.$and || []), keysetFilter(sort, cursor, order)] }
+
+  // One extra document tells us whether there is another page
+  let results = await build(
+    Model.find(pageFilter)
+      .sort({ [sort.field]: order, _id: order })
+      .limit(limit + 1),
+  )
+  const hasMore = results.length > limit
+  results = results.slice(0, limit)
+  if (backwards) results.reverse()
+
+  const hasNext = backwards ? true : hasMore
+  const hasPrev = backwards ? hasMore : true
+
+  const pagination = {
+    limit,
+    hasNext,
+    hasPrev,
+    nextCursor: hasNext && results.length ? encodeCursor(results[results.length - 1], sort, "next") : null,
+    prevCursor: hasPrev && results.length ? encodeCursor(results[0], sort, "prev") : null,
+  }
+
+  if (params.includeTotal === "true") {
+    pagination.totalItems = await Model.countDocuments(filter)
+  }
+
+  return { results, pagination }
+}
+
+module.exports = {
+  paginate,
+}
@@ -0,0 +1,14 @@
+// Query values may be repeated (?size=S&size=M) or comma-separated (?size=S,M)
+const toList = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((entry) => String(entry).split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+module.exports = {
+  toList,
+  escapeRegex,
+}
@@ -0,0 +1,191 @@
+const Item = require("../models/Item")
+const Swap = require("../models/Swap")
+
+// Personalised item recommendations.
+//
+// Candidates are approved, available items from other members. Each is scored from:
+//   - the member's stated preferences (categories, sizes, brands)
+//   - categories and brands of items they liked or swapped for
+//   - co-likes: items liked by members whose likes overlap with theirs
+// The strongest signal becomes the item's `explanation`.
+
+const WEIGHTS = {
+  preferredCategory: 3,
+  preferredSize: 2,
+  preferredBrand: 2,
+  likedCategory: 1,
+  likedBrand: 1.5,
+  swappedCategory: 1,
+  swappedBrand: 1.5,
+  coLiked: 2,
+}
+
+// Cap on how much repeated history can add for a single category or brand
+const MAX_HISTORY_COUNT = 3
+
+// Members whose likes overlap the most, and how many candidates to score
+const MAX_NEIGHBOURS = 50
+const MAX_CANDIDATES = 300
+
+const lower = (value) => String(value || "").toLowerCase()
+
+const countBy = (values) => {
+  const counts = new Map()
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+  return counts
+}
+
+// Items the member already knows about: their own, liked, or part of one of their swaps
+const excludedItemIds = async (userId, likedItems) => {
+  const swaps = await Swap.find({ $or: [{ requester: userId }, { owner: userId }] })
+    .select("requestedItems offeredItems")
+    .lean()
+
+  return [
+    ...likedItems.map((item) => item._id),
+    ...swaps.flatMap((swap) => [...(swap.requestedItems || []), ...(swap.offeredItems || [])]),
+  ]
+}
+
+// Members who liked the same items, with one shared item title each for explanations
+const findNeighbours = async (userId, likedItemIds) => {
+  if (!likedItemIds.length) return new Map()
+
+  const neighbours = await Item.aggregate([
+    { $match: { _id: { $in: likedItemIds } } },
+    { $unwind: "$likes" },
+    { $match: { likes: { $ne: userId } } },
+    { $group: { _id: "$likes", overlap: { $sum: 1 }, sharedTitle: { $first: "$title" } } },
+    { $sort: { overlap: -1 } },
+    { $limit: MAX_NEIGHBOURS },
+  ])
+
+  return new Map(neighbours.map((neighbour) => [neighbour._id.toString(), neighbour]))
+}
+
+// Score approved, available items for a member. Resolves to items with `score` and `explanation`.
+const recommendItems = async (user, { limit = 12 } = {}) => {
+  const userId = user._id
+  const preferences = user.preferences || {}
+
+  const likedItems = await Item.find({ likes: userId }).select("title category brand").lean()
+
+  const swappedFor = await Swap.find({ requester: userId, status: { $in: ["accepted", "completed"] } })
+    .populate("requestedItems", "category brand")
+    .select("requestedItems")
+    .lean()
+  const swappedItems = swappedFor.flatMap((swap) => swap.requestedItems || []).filter(Boolean)
+
+  const [excluded, neighbours] = await Promise.all([
+    excludedItemIds(userId, likedItems),
+    findNeighbours(
+      userId,
+      likedItems.map((item) => item._id),
+    ),
+  ])
+
+  const preferredCategories = preferences.categories || []
+  const preferredSizes = preferences.sizes || []
+  const preferredBrands = (preferences.brands || []).map(lower)
+  const likedCategories = countBy(likedItems.map((item) => item.category))
+  const likedBrands = countBy(likedItems.map((item) => lower(item.brand)))
+  const swappedCategories = countBy(swappedItems.map((item) => item.category))
+  const swappedBrands = countBy(swappedItems.map((item) => lower(item.brand)))
+
+  const categories = [...new Set([...preferredCategories, ...likedCategories.keys(), ...swappedCategories.keys()])]
+  const neighbourIds = [...neighbours.keys()]
+
+  const signals = []
+  if (categories.length) signals.push({ category: { $in: categories } })
+  if (preferredSizes.length) signals.push({ size: { $in: preferredSizes } })
+  if (neighbourIds.length) signals.push({ likes: { $in: neighbourIds } })
+
+  const baseFilter = {
+    status: "approved",
+    availability: "available",
+    owner: { $ne: userId },
+    _id: { $nin: excluded },
+  }
+
+  // New members with no signals yet see what is popular
+  if (!signals.length && !preferredBrands.length) {
+    const popular = await Item.find(baseFilter)
+      .select("-likes -reports")
+      .populate("owner", "username firstName lastName avatar location.city location.state")
+      .sort({ views: -1, createdAt: -1 })
+      .limit(limit)
+      .lean()
+    return popular.map((item) => ({ ...item, score: 0, explanation: "Popular with other members right now" }))
+  }
+
+  // Brands are free text, so they are matched case-insensitively in JS rather than in the query
+  const candidates = await Item.find(signals.length ? { ...baseFilter, $or: signals } : baseFilter)
+    .populate("owner", "username firstName lastName avatar location.city location.state")
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean()
+
+  const scored = candidates.map((item) => {
+    const reasons = []
+    const add = (weight, explanation) => reasons.push({ weight, explanation })
+    const brand = lower(item.brand)
+
+    if (preferredCategories.includes(item.category)) {
+      add(WEIGHTS.preferredCategory, `Matches your favourite category: ${item.category}`)
+    }
+    if (preferredSizes.includes(item.size)) add(WEIGHTS.preferredSize, `In your size (${item.size})`)
+    if (brand && preferredBrands.includes(brand)) add(WEIGHTS.preferredBrand, `From ${item.brand}, one of your brands`)
+
+    if (likedCategories.has(item.category)) {
+      add(
+        WEIGHTS.likedCategory * Math.min(likedCategories.get(item.category), MAX_HISTORY_COUNT),
+        `Because you liked other ${item.category} items`,
+      )
+    }
+    if (brand && likedBrands.has(brand)) {
+      add(
+        WEIGHTS.likedBrand * Math.min(likedBrands.get(brand), MAX_HISTORY_COUNT),
+        `Because you liked items from ${item.brand}`,
+      )
+    }
+    if (swappedCategories.has(item.category)) {
+      add(
+        WEIGHTS.swappedCategory * Math.min(swappedCategories.get(item.category), MAX_HISTORY_COUNT),
+        `Because you swapped for ${item.category} before`,
+      )
+    }
+    if (brand && swappedBrands.has(brand)) {
+      add(
+        WEIGHTS.swappedBrand * Math.min(swappedBrands.get(brand), MAX_HISTORY_COUNT),
+        `Because you swapped for ${item.brand} before`,
+      )
+    }
+
+    const coLikers = (item.likes || []).map((id) => neighbours.get(id.toString())).filter(Boolean)
+    if (coLikers.length) {
+      const strongest = coLikers.reduce((best, neighbour) => (neighbour.overlap > best.overlap ? neighbour : best))
+      add(
+        WEIGHTS.coLiked * Math.min(coLikers.length, MAX_HISTORY_COUNT),
+        `Because you liked "${strongest.sharedTitle}"; members who liked it also liked this`,
+      )
+    }
+
+    reasons.sort((a, b) => b.weight - a.weight)
+    const { likes, reports, ...rest } = item
+
+    return {
+      ...rest,
+      score: reasons.reduce((total, reason) => total + reason.weight, 0),
+      explanation: reasons.length ? reasons[0].explanation : null,
+    }
+  })
+
+  return scored
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score || b.views - a.views)
+    .slice(0, limit)
+}
+
+module.exports = {
+  recommendItems,
+}
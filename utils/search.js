@@ -0,0 +1,208 @@
+// Item search: relevance ranking, typo tolerance and autocomplete.
+//
+// Queries first go through the $text index (title, description, tags) and are ranked by
+// text score blended with recency and popularity. When nothing matches exactly, typically
+// a misspelling such as "jaket", they fall back to trigram similarity over the short fields
+// of each listing, whose trigrams are kept in Item.searchTerms on save.
+
+// Blend weights for the final score
+const RELEVANCE_WEIGHT = 1
+const RECENCY_WEIGHT = 0.5
+const POPULARITY_WEIGHT = 0.1
+
+// Recency halves after this many days
+const RECENCY_HALF_LIFE_DAYS = 30
+
+// Share of the query's trigrams a listing must contain to count as a fuzzy match
+const FUZZY_MIN_SIMILARITY = 0.4
+
+// Fields indexed for fuzzy matching and autocomplete
+const FUZZY_FIELDS = ["title", "brand", "tags", "category", "type", "color"]
+
+const normalize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+
+const words = (text) => normalize(text).split(" ").filter(Boolean)
+
+// Trigrams of a word padded at the start, so prefixes share grams with the full word.
+// Indexed words are padded at the end too; the last query word is not, so it also
+// works as a prefix while someone is typing.
+const wordGrams = (word, { prefix = false } = {}) => {
+  const padded = `  ${word}${prefix ? "" : " "}`
+  const grams = []
+  for (let i = 0; i + 3 <= padded.length; i++) grams.push(padded.slice(i, i + 3))
+  return grams
+}
+
+const textGrams = (text, options) => [...new Set(words(text).flatMap((word) => wordGrams(word, options)))]
+
+const queryGrams = (query) => {
+  const queryWords = words(query)
+  return [
+    ...new Set(queryWords.flatMap((word, index) => wordGrams(word, { prefix: index === queryWords.length - 1 }))),
+  ]
+}
+
+const fuzzyText = (item) =>
+  FUZZY_FIELDS.map((field) => [].concat(item[field] || []).join(" "))
+    .filter(Boolean)
+    .join(" ")
+
+// Trigrams stored on an item for fuzzy matching
+const buildSearchTerms = (item) => textGrams(fuzzyText(item))
+
+// Share of the query's trigrams found in a piece of text
+const similarity = (text, grams) => {
+  if (!grams.length) return 0
+  const candidate = new Set(textGrams(text))
+  return grams.filter((gram) => candidate.has(gram)).length / grams.length
+}
+
+// Whether a single item matches a search query, with the same leniency as searchItems:
+// every query word starts a word of the listing, or its short fields are a fuzzy match
+const matchesQuery = (item, query) => {
+  const queryWords = words(query)
+  if (!queryWords.length) return true
+
+  const itemWords = words([item.title, item.description, ...(item.tags || [])].join(" "))
+  if (queryWords.every((queryWord) => itemWords.some((itemWord) => itemWord.startsWith(queryWord)))) return true
+
+  return similarity(fuzzyText(item), queryGrams(query)) >= FUZZY_MIN_SIMILARITY
+}
+
+// Stages adding `score`: relevance blended with recency and popularity
+const rankStages = () => [
+  {
+    $addFields: {
+      score: {
+        $add: [
+          { $multiply: [RELEVANCE_WEIGHT, "$relevance"] },
+          {
+            $multiply: [
+              RECENCY_WEIGHT,
+              {
+                $pow: [
+                  0.5,
+                  { $divide: [{ $subtract: [new Date(), "$createdAt"] }, RECENCY_HALF_LIFE_DAYS * 24 * 60 * 60 * 1000] },
+                ],
+              },
+            ],
+          },
+          {
+            $multiply: [
+              POPULARITY_WEIGHT,
+              { $ln: { $add: [1, "$views", { $multiply: [2, { $size: { $ifNull: ["$likes", []] } }] }] } },
+            ],
+          },
+        ],
+      },
+    },
+  },
+]
+
+const pageStages = (skip, limit) => [
+  {
+    $facet: {
+      items: [
+        { $sort: { score: -1, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { searchTerms: 0, relevance: 0 } },
+      ],
+      total: [{ $count: "count" }],
+    },
+  },
+]
+
+const unpack = ([result], mode) => ({
+  items: result.items,
+  total: result.total.length ? result.total[0].count : 0,
+  mode,
+})
+
+// Ranked search over items matching `filter` (which must not contain $text).
+// Resolves to { items, total, mode } where mode is "text" or "fuzzy".
+const searchItems = async (Item, { filter, search, skip = 0, limit = 12 }) => {
+  const textResult = unpack(
+    await Item.aggregate([
+      { $match: { ...filter, $text: { $search: search } } },
+      { $addFields: { relevance: { $meta: "textScore" } } },
+      ...rankStages(),
+      ...pageStages(skip, limit),
+    ]),
+    "text",
+  )
+  if (textResult.total) return textResult
+
+  const grams = queryGrams(search)
+  if (!grams.length) return textResult
+
+  return unpack(
+    await Item.aggregate([
+      { $match: { ...filter, searchTerms: { $in: grams } } },
+      {
+        $addFields: {
+          relevance: { $divide: [{ $size: { $setIntersection: ["$searchTerms", grams] } }, grams.length] },
+        },
+      },
+      { $match: { relevance: { $gte: FUZZY_MIN_SIMILARITY } } },
+      ...rankStages(),
+      ...pageStages(skip, limit),
+    ]),
+    "fuzzy",
+  )
+}
+
+// Autocomplete: titles, brands and tags of matching items, best match first
+const suggest = async (Item, { filter, query, limit = 5 }) => {
+  const grams = queryGrams(query)
+  if (!grams.length) return { titles: [], brands: [], tags: [] }
+
+  const candidates = await Item.aggregate([
+    { $match: { ...filter, searchTerms: { $in: grams } } },
+    {
+      $addFields: {
+        relevance: { $divide: [{ $size: { $setIntersection: ["$searchTerms", grams] } }, grams.length] },
+      },
+    },
+    { $match: { relevance: { $gte: FUZZY_MIN_SIMILARITY } } },
+    { $sort: { relevance: -1, views: -1 } },
+    { $limit: 50 },
+    { $project: { title: 1, brand: 1, tags: 1 } },
+  ])
+
+  // Rank distinct values by how well they match on their own
+  const best = (values) => {
+    const scores = new Map()
+    values.filter(Boolean).forEach((value) => {
+      const key = normalize(value)
+      const score = similarity(value, grams)
+      if (score >= FUZZY_MIN_SIMILARITY && (!scores.has(key) || scores.get(key).score < score)) {
+        scores.set(key, { value, score })
+      }
+    })
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ value }) => value)
+  }
+
+  return {
+    titles: best(candidates.map((item) => item.title)),
+    brands: best(candidates.map((item) => item.brand)),
+    tags: best(candidates.flatMap((item) => item.tags || [])),
+  }
+}
+
+module.exports = {
+  FUZZY_FIELDS,
+  buildSearchTerms,
+  matchesQuery,
+  searchItems,
+  suggest,
+}
@@ -0,0 +1,31 @@
+const cloudinary = require("cloudinary").v2
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+})
+
+const save = (buffer, { key }) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      {
+        folder: process.env.CLOUDINARY_FOLDER || "rewear",
+        public_id: key.replace(/\.[^/.]+$/, ""),
+        resource_type: "image",
+        overwrite: false,
+      },
+      (error, result) => {
+        if (error) return reject(error)
+        resolve({ url: result.secure_url, publicId: result.public_id })
+      },
+    )
+    stream.end(buffer)
+  })
+}
+
+const remove = async (publicId) => {
+  await cloudinary.uploader.destroy(publicId, { resource_type: "image" })
+}
+
+module.exports = { name: "cloudinary", save, remove }
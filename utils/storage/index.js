@@ -0,0 +1,16 @@
+// Storage adapters expose the same interface:
+//   save(buffer, { key, contentType }) -> Promise<{ url, publicId }>
+//   remove(publicId) -> Promise<void>
+// STORAGE_DRIVER selects the adapter ("local" by default, or "cloudinary").
+const adapters = {
+  local: () => require("./local"),
+  cloudinary: () => require("./cloudinary"),
+}
+
+const driver = process.env.STORAGE_DRIVER || "local"
+
+if (!adapters[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected one of: ${Object.keys(adapters).join(", ")}`)
+}
+
+module.exports = adapters[driver]()
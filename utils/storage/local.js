@@ -0,0 +1,32 @@
+const fs = require("fs/promises")
+const path = require("path")
+
+// Stores files on the local disk; server.js serves UPLOAD_DIR under /uploads
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || "uploads")
+const publicBaseUrl = `${process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`
+
+const resolveKey = (key) => {
+  const filePath = path.resolve(uploadDir, key)
+  if (!filePath.startsWith(uploadDir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`)
+  }
+  return filePath
+}
+
+const save = async (buffer, { key }) => {
+  const filePath = resolveKey(key)
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(filePath, buffer)
+
+  return { url: `${publicBaseUrl}/${key}`, publicId: key }
+}
+
+const remove = async (publicId) => {
+  try {
+    await fs.unlink(resolveKey(publicId))
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+}
+
+module.exports = { name: "local", uploadDir, save, remove }
@@ -0,0 +1,74 @@
+const crypto = require("crypto")
+
+// RFC 6238 time-based one-time passwords (30-second steps, 6 digits, HMAC-SHA1),
+// compatible with Google Authenticator, 1Password, Authy and similar apps
+const STEP_SECONDS = 30
+const DIGITS = 6
+const ALLOWED_DRIFT_STEPS = 1
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+  let bits = ""
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+
+  let output = ""
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+  }
+  return output
+}
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "")
+  let bits = ""
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) throw new Error("Invalid base32 character")
+    bits += index.toString(2).padStart(5, "0")
+  }
+
+  const bytes = []
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2))
+  }
+  return Buffer.from(bytes)
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS)
+
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+// Returns the matching time step, or null. Callers store the step to reject replays.
+const verifyCode = (secret, code, { now = Date.now(), afterStep = -1 } = {}) => {
+  const normalized = String(code).replace(/\s/g, "")
+  if (!/^\d{6}$/.test(normalized)) return null
+
+  const step = currentStep(now)
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const candidate = step + drift
+    if (candidate <= afterStep) continue
+
+    const expected = Buffer.from(generateCode(secret, candidate))
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return candidate
+  }
+  return null
+}
+
+// otpauth:// URI for authenticator apps; the client renders it as a QR code
+const buildOtpAuthUrl = (secret, accountName, issuer = "ReWear") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+}
+
+module.exports = { generateSecret, generateCode, currentStep, verifyCode, buildOtpAuthUrl }